@@ -0,0 +1,35 @@
+// Genealogy integrity check; --repair rewrites downline, upline and level from sponsorId:
+//   npm run genealogy:check [-- --repair]    (or npm run genealogy:repair)
+// Also the migration for members registered before the upline included the direct
+// sponsor: run genealogy:repair once after deploying, and again if it reports skipped members.
+// Exits with 2 when issues are found and not (all) repaired, so it can gate a scheduled job.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { checkGenealogy } = require('../src/utils/genealogy');
+
+const run = async () => {
+  const repair = process.argv.slice(2).includes('--repair');
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/glgmlm';
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const { issues, ...summary } = await checkGenealogy({ repair });
+
+    console.log(issues.length ? '⚠️  Genealogy issues found' : '✅ Genealogy is consistent', summary);
+    issues.forEach(({ type, userId, ...details }) => console.log(`  ${type}: ${userId}`, JSON.stringify(details)));
+
+    // Members changed during the scan were left alone; run again to repair them
+    if (issues.length && (!repair || summary.skipped > 0)) process.exitCode = 2;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Genealogy check failed:', error.message);
+  process.exit(1);
+});
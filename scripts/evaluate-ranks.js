@@ -0,0 +1,41 @@
+// Nightly rank evaluation, meant to be run by a scheduler (e.g. a Render cron job):
+//   npm run ranks:evaluate [-- --from=2024-06-01 --to=2024-07-01] [-- --dry-run]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { evaluateRanks } = require('../src/utils/ranks');
+
+const parseArgs = (argv) => {
+  const args = {};
+  argv.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    args[key] = value === undefined ? true : value;
+  });
+  return args;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/glgmlm';
+
+  await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+
+  try {
+    const window = args.from
+      ? { start: new Date(args.from), end: args.to ? new Date(args.to) : new Date() }
+      : {};
+    const { changes, ...summary } = await evaluateRanks({ ...window, dryRun: Boolean(args['dry-run']) });
+
+    console.log('✅ Rank evaluation completed', summary);
+    changes.forEach(c => console.log(`  ${c.change}: ${c.userId} level ${c.fromLevel} -> ${c.toLevel}`));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch(error => {
+  console.error('❌ Rank evaluation failed:', error.message);
+  process.exit(1);
+});
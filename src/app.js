@@ -1,7 +1,9 @@
+// Load environment variables first: config modules read them when the routes are required
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const path = require('path');
 
 // Import routes
@@ -10,13 +12,23 @@ const userRoutes = require('./routes/users');
 const ambassadorRoutes = require('./routes/ambassadors');
 const clientRoutes = require('./routes/clients');
 const dashboardRoutes = require('./routes/dashboard');
-
-// Load environment variables
-dotenv.config();
+const productRoutes = require('./routes/products');
+const orderRoutes = require('./routes/orders');
+const commissionRoutes = require('./routes/commissions');
+const compensationRoutes = require('./routes/compensation');
+const payoutRoutes = require('./routes/payouts');
+const loyaltyRoutes = require('./routes/loyalty');
+const rankRoutes = require('./routes/ranks');
+const lockoutRoutes = require('./routes/lockouts');
+const invitationRoutes = require('./routes/invitations');
+const auditRoutes = require('./routes/audit');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind Render's proxy: use X-Forwarded-For for req.ip (recorded on sessions)
+app.set('trust proxy', 1);
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
@@ -57,6 +69,16 @@ app.use('/api/users', userRoutes);
 app.use('/api/ambassadors', ambassadorRoutes);
 app.use('/api/clients', clientRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/commissions', commissionRoutes);
+app.use('/api/compensation', compensationRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/loyalty', loyaltyRoutes);
+app.use('/api/ranks', rankRoutes);
+app.use('/api/lockouts', lockoutRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -81,7 +103,17 @@ app.get('/', (req, res) => {
       users: '/api/users',
       ambassadors: '/api/ambassadors',
       clients: '/api/clients',
-      dashboard: '/api/dashboard'
+      dashboard: '/api/dashboard',
+      products: '/api/products',
+      orders: '/api/orders',
+      commissions: '/api/commissions',
+      compensation: '/api/compensation',
+      payouts: '/api/payouts',
+      loyalty: '/api/loyalty',
+      ranks: '/api/ranks',
+      lockouts: '/api/lockouts',
+      invitations: '/api/invitations',
+      audit: '/api/audit'
     }
   });
 });
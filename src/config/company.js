@@ -0,0 +1,21 @@
+// Company data printed on generated documents (and seller data on invoices)
+const company = {
+  name: process.env.COMPANY_NAME || 'GLGMLM',
+  legalName: process.env.COMPANY_LEGAL_NAME || process.env.COMPANY_NAME || 'GLGMLM S.r.l.',
+  vatNumber: process.env.COMPANY_VAT_NUMBER || '',
+  taxCode: process.env.COMPANY_TAX_CODE || process.env.COMPANY_VAT_NUMBER || '',
+  rea: process.env.COMPANY_REA || '',
+  pec: process.env.COMPANY_PEC || '',
+  address: {
+    street: process.env.COMPANY_STREET || '',
+    zipCode: process.env.COMPANY_ZIP_CODE || '',
+    city: process.env.COMPANY_CITY || '',
+    state: process.env.COMPANY_STATE || '',
+    country: process.env.COMPANY_COUNTRY || 'IT'
+  },
+  email: process.env.COMPANY_EMAIL || 'info@glgmlm.com',
+  website: process.env.COMPANY_WEBSITE || process.env.FRONTEND_URL || 'https://glgmlm.vercel.app',
+  brandColor: process.env.COMPANY_BRAND_COLOR || '#1e3a8a'
+};
+
+module.exports = company;
@@ -0,0 +1,33 @@
+// Brute-force protection for login and password reset requests. Failures are
+// counted per account (email) and per client IP over a window; past a few failures
+// each attempt must wait a doubling delay, and at maxAttempts the key is locked.
+// LOCKOUT_STORE is memory (single instance) or mongo (shared between instances).
+const limits = (prefix, defaults) => ({
+  maxAttempts: parseInt(process.env[`${prefix}_MAX_ATTEMPTS`] || defaults.maxAttempts),
+  windowMinutes: parseInt(process.env[`${prefix}_WINDOW_MINUTES`] || defaults.windowMinutes),
+  // Should be at least windowMinutes so the count starts over after a lockout
+  lockMinutes: parseInt(process.env[`${prefix}_LOCK_MINUTES`] || defaults.lockMinutes)
+});
+
+const lockout = {
+  store: process.env.LOCKOUT_STORE || 'memory',
+  delay: {
+    // Failures allowed before delays kick in
+    freeAttempts: parseInt(process.env.LOCKOUT_FREE_ATTEMPTS || '3'),
+    baseSeconds: parseInt(process.env.LOCKOUT_DELAY_BASE_SECONDS || '1'),
+    maxSeconds: parseInt(process.env.LOCKOUT_DELAY_MAX_SECONDS || '60')
+  },
+  scopes: {
+    login: {
+      account: limits('LOGIN', { maxAttempts: 10, windowMinutes: 15, lockMinutes: 15 }),
+      ip: limits('LOGIN_IP', { maxAttempts: 50, windowMinutes: 15, lockMinutes: 30 })
+    },
+    // Every request counts, since the endpoint always answers the same way
+    forgot_password: {
+      account: limits('FORGOT_PASSWORD', { maxAttempts: 5, windowMinutes: 60, lockMinutes: 60 }),
+      ip: limits('FORGOT_PASSWORD_IP', { maxAttempts: 20, windowMinutes: 60, lockMinutes: 60 })
+    }
+  }
+};
+
+module.exports = lockout;
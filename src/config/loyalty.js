@@ -0,0 +1,20 @@
+// Loyalty programme settings
+const loyalty = {
+  // Points earned per euro of paid orders
+  pointsPerEuro: parseFloat(process.env.LOYALTY_POINTS_PER_EURO || '0.1'),
+  // Days before earned points expire
+  expiryDays: parseInt(process.env.LOYALTY_EXPIRY_DAYS || '365'),
+  // Euro value of one point when redeemed for a voucher
+  pointValue: parseFloat(process.env.LOYALTY_POINT_VALUE || '0.2'),
+  minRedeemPoints: parseInt(process.env.LOYALTY_MIN_REDEEM_POINTS || '50'),
+  voucherValidityDays: parseInt(process.env.LOYALTY_VOUCHER_VALIDITY_DAYS || '90'),
+  // Tiers by points earned over the last tierWindowDays, highest first
+  tierWindowDays: parseInt(process.env.LOYALTY_TIER_WINDOW_DAYS || '365'),
+  tiers: [
+    { name: 'Gold', minPoints: parseInt(process.env.LOYALTY_GOLD_POINTS || '100') },
+    { name: 'Silver', minPoints: parseInt(process.env.LOYALTY_SILVER_POINTS || '50') },
+    { name: 'Bronze', minPoints: 0 }
+  ]
+};
+
+module.exports = loyalty;
@@ -0,0 +1,36 @@
+const os = require('os');
+const path = require('path');
+const company = require('./company');
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// Outgoing email settings. MAIL_TRANSPORT is smtp, file or console; without it,
+// SMTP is used when SMTP_HOST is set and the console transport otherwise.
+const mail = {
+  transport: process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console'),
+  from: process.env.MAIL_FROM || `${company.name} <${company.email}>`,
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  // Where the file transport writes messages
+  fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'glgmlm-mail'),
+  // Base URL of the frontend, used for links in emails
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:5173',
+  verification: {
+    // Where a verified email is required: login, ambassador (activation as ambassador)
+    requiredFor: splitList(process.env.EMAIL_VERIFICATION_REQUIRED_FOR),
+    tokenTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24'),
+    // Minimum delay between two verification emails, and daily cap
+    resendIntervalSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60'),
+    maxPerDay: parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY || '5')
+  },
+  passwordReset: {
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60')
+  }
+};
+
+module.exports = mail;
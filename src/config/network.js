@@ -0,0 +1,14 @@
+// Network tree limits for GET /api/ambassadors/network
+const network = {
+  // Levels returned when the client does not ask for a depth
+  defaultDepth: parseInt(process.env.NETWORK_DEFAULT_DEPTH || '3'),
+  // Deepest tree returned by one request; deeper branches are loaded by node id
+  maxDepth: parseInt(process.env.NETWORK_MAX_DEPTH || '5'),
+  // Direct members shown per node (and page size of the requested node's members)
+  childrenLimit: parseInt(process.env.NETWORK_CHILDREN_LIMIT || '50'),
+  // Members returned by one request across all levels
+  maxNodes: parseInt(process.env.NETWORK_MAX_NODES || '500'),
+  searchLimit: parseInt(process.env.NETWORK_SEARCH_LIMIT || '20')
+};
+
+module.exports = network;
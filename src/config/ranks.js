@@ -0,0 +1,41 @@
+// Rank evaluation settings and the ladder created when no ranks are configured yet
+const ranks = {
+  // Rolling window used by the nightly evaluation
+  windowDays: parseInt(process.env.RANK_WINDOW_DAYS || '30'),
+  // Members read and written per round trip (and per transaction) by the evaluation
+  batchSize: parseInt(process.env.RANK_EVALUATION_BATCH_SIZE || '500'),
+  defaultLadder: [
+    {
+      code: 'AMBASSADOR',
+      name: 'Ambassador',
+      level: 1,
+      qualifications: {}
+    },
+    {
+      code: 'BRONZE',
+      name: 'Bronze',
+      level: 2,
+      qualifications: { personalVolume: 100, groupVolume: 500, activeMembers: 2 }
+    },
+    {
+      code: 'SILVER',
+      name: 'Silver',
+      level: 3,
+      qualifications: { personalVolume: 100, groupVolume: 2000, qualifiedLegs: 2, legVolume: 500, activeMembers: 5 }
+    },
+    {
+      code: 'GOLD',
+      name: 'Gold',
+      level: 4,
+      qualifications: { personalVolume: 150, groupVolume: 5000, qualifiedLegs: 3, legVolume: 1000, activeMembers: 10 }
+    },
+    {
+      code: 'DIAMOND',
+      name: 'Diamond',
+      level: 5,
+      qualifications: { personalVolume: 200, groupVolume: 15000, qualifiedLegs: 3, legRankLevel: 4, activeMembers: 25 }
+    }
+  ]
+};
+
+module.exports = ranks;
@@ -0,0 +1,13 @@
+// Self-service sign-up and staff onboarding. Public registration only creates
+// clients and ambassadors; staff accounts are created through invitations.
+// REGISTRATION_AMBASSADOR: open (anyone), sponsored (requires the code of an
+// active ambassador) or closed (ambassador sign-up disabled).
+const registration = {
+  publicRoles: ['client', 'ambassador'],
+  ambassadorSignup: process.env.REGISTRATION_AMBASSADOR || 'open',
+  invitations: {
+    ttlDays: parseInt(process.env.INVITATION_TTL_DAYS || '7')
+  }
+};
+
+module.exports = registration;
@@ -0,0 +1,22 @@
+// SMS delivery and phone verification settings. SMS_PROVIDER is log (prints codes,
+// for local development) or twilio.
+const sms = {
+  provider: process.env.SMS_PROVIDER || 'log',
+  // Sender name or number
+  from: process.env.SMS_FROM || 'GLGMLM',
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN
+  },
+  // Calling code prepended to numbers entered without an international prefix
+  defaultCountryCode: process.env.PHONE_DEFAULT_COUNTRY_CODE || '39',
+  otp: {
+    length: parseInt(process.env.PHONE_OTP_LENGTH || '6'),
+    ttlMinutes: parseInt(process.env.PHONE_OTP_TTL_MINUTES || '10'),
+    maxAttempts: parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS || '5'),
+    resendIntervalSeconds: parseInt(process.env.PHONE_OTP_RESEND_SECONDS || '60'),
+    maxPerDay: parseInt(process.env.PHONE_OTP_MAX_PER_DAY || '5')
+  }
+};
+
+module.exports = sms;
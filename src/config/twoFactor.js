@@ -0,0 +1,22 @@
+const company = require('./company');
+
+const splitList = (value) => (value || '').split(',').map(v => v.trim()).filter(Boolean);
+
+// TOTP two-factor authentication settings. Users in TWO_FACTOR_REQUIRED_ROLES
+// (e.g. "admin,ambassador") must enroll before they can sign in.
+const twoFactor = {
+  // Account label shown by authenticator apps
+  issuer: process.env.TWO_FACTOR_ISSUER || company.name,
+  requiredRoles: splitList(process.env.TWO_FACTOR_REQUIRED_ROLES),
+  // Key used to encrypt TOTP secrets at rest; derived from JWT_SECRET when unset (secrets
+  // enrolled before it is set keep opening with that key)
+  encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+  // Accepted clock drift, in 30-second steps either side
+  window: parseInt(process.env.TWO_FACTOR_WINDOW || '1'),
+  // Lifetime and attempt limit of the token bridging password and code at login
+  challengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES || '5'),
+  maxAttempts: parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS || '5'),
+  recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODES || '10')
+};
+
+module.exports = twoFactor;
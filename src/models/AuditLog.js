@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const immutable = require('./plugins/immutable');
+
+// Append-only record of a state-changing action, written by utils/audit
+const auditLogSchema = new mongoose.Schema({
+  // Who acted; empty for anonymous requests (e.g. password reset by token)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  // Admin impersonating the actor, when the action was taken under impersonation
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // e.g. user.status_change, order.create
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Changed fields: { field: { before, after } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Action-specific details
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ impersonatorId: 1, createdAt: -1 }, { sparse: true });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+auditLogSchema.plugin(immutable, { name: 'Audit log entries' });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
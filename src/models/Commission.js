@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const immutable = require('./plugins/immutable');
+
+const COMMISSION_TYPES = ['direct_sale', 'downline_sale', 'bonus', 'adjustment'];
+
+// Ledger entry types generated automatically from orders
+const SALE_TYPES = ['direct_sale', 'downline_sale'];
+
+const commissionSchema = new mongoose.Schema({
+  beneficiaryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: COMMISSION_TYPES,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  // Sale details (direct_sale / downline_sale)
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderNumber: {
+    type: String
+  },
+  sourceUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  generation: {
+    type: Number,
+    min: 1
+  },
+  baseAmount: {
+    type: Number,
+    default: 0
+  },
+  rate: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  // Compensation plan the entry was computed with (absent for flat-rate entries)
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompensationPlan'
+  },
+  planVersion: {
+    type: Number
+  },
+  // Reversal / manual entry details
+  reversalOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Commission'
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+commissionSchema.index({ beneficiaryId: 1, createdAt: -1 });
+commissionSchema.index({ orderId: 1 });
+commissionSchema.index({ reversalOf: 1 });
+
+// Ledger entries are immutable: corrections are recorded as new adjustment entries
+commissionSchema.plugin(immutable, { name: 'Commission ledger entries' });
+
+// Static methods
+commissionSchema.statics.getBalance = async function(beneficiaryId, match = {}) {
+  const result = await this.aggregate([
+    { $match: { ...match, beneficiaryId: new mongoose.Types.ObjectId(beneficiaryId) } },
+    { $group: { _id: null, total: { $sum: '$amount' } } }
+  ]);
+  return result[0]?.total || 0;
+};
+
+commissionSchema.statics.COMMISSION_TYPES = COMMISSION_TYPES;
+commissionSchema.statics.SALE_TYPES = SALE_TYPES;
+
+module.exports = mongoose.model('Commission', commissionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const PERIOD_FREQUENCIES = ['weekly', 'monthly', 'quarterly'];
+
+// A commission period only exists once it has been closed
+const commissionPeriodSchema = new mongoose.Schema({
+  // Human-readable identifier, e.g. 2026-10 or 2026-W42
+  key: {
+    type: String,
+    required: true
+  },
+  frequency: {
+    type: String,
+    enum: PERIOD_FREQUENCIES,
+    default: 'monthly'
+  },
+  startDate: {
+    type: Date,
+    required: true,
+    unique: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  minimumPayout: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totals: {
+    earnings: { type: Number, default: 0 },
+    payable: { type: Number, default: 0 },
+    carriedForward: { type: Number, default: 0 },
+    beneficiaries: { type: Number, default: 0 }
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  },
+  closedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commissionPeriodSchema.index({ endDate: -1 });
+
+// Static methods
+commissionPeriodSchema.statics.getLastClosed = function() {
+  return this.findOne().sort({ endDate: -1 });
+};
+
+commissionPeriodSchema.statics.PERIOD_FREQUENCIES = PERIOD_FREQUENCIES;
+
+module.exports = mongoose.model('CommissionPeriod', commissionPeriodSchema);
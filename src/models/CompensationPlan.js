@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const PLAN_STATUSES = ['draft', 'active', 'retired'];
+
+const generationRuleSchema = new mongoose.Schema({
+  generation: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  // Optional per-generation override of the plan's minimum personal volume
+  minPersonalVolume: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const planDefinitionSchema = new mongoose.Schema({
+  generations: [generationRuleSchema],
+  caps: {
+    // Maximum share of an order's total paid out across all generations
+    maxPayoutRatio: { type: Number, min: 0, max: 1 },
+    // Maximum amount of a single ledger entry
+    maxPerEntry: { type: Number, min: 0 },
+    // Maximum sale commissions a beneficiary can earn per calendar month
+    maxPerBeneficiaryMonthly: { type: Number, min: 0 }
+  },
+  qualification: {
+    minPersonalVolume: { type: Number, min: 0, default: 0 },
+    personalVolumeDays: { type: Number, min: 1, default: 30 },
+    requireActive: { type: Boolean, default: true }
+  },
+  eligibleRoles: {
+    type: [String],
+    enum: ['admin', 'ambassador', 'client'],
+    default: ['ambassador']
+  }
+}, { _id: false });
+
+const compensationPlanSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: PLAN_STATUSES,
+    default: 'draft'
+  },
+  definition: {
+    type: planDefinitionSchema,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+compensationPlanSchema.index({ status: 1 });
+
+// Static methods
+compensationPlanSchema.statics.getActive = function() {
+  return this.findOne({ status: 'active' });
+};
+
+compensationPlanSchema.statics.nextVersion = function(session = null) {
+  return Counter.next('compensation-plan', session);
+};
+
+compensationPlanSchema.statics.PLAN_STATUSES = PLAN_STATUSES;
+
+module.exports = mongoose.model('CompensationPlan', compensationPlanSchema);
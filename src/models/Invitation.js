@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Staff roles that can only be obtained through an invitation
+const INVITABLE_ROLES = ['admin'];
+
+// Invitation to join as staff, redeemed with a signed link (see utils/invitations)
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: INVITABLE_ROLES,
+    required: true
+  },
+  firstName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  lastName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  language: {
+    type: String,
+    enum: ['it', 'en', 'es', 'fr'],
+    default: 'it'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Each send signs a new link and invalidates the previous ones
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date
+  },
+  acceptedAt: {
+    type: Date
+  },
+  // Account created from the invitation
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+invitationSchema.index({ email: 1, createdAt: -1 });
+invitationSchema.index({ createdAt: -1 });
+
+// Instance methods
+invitationSchema.methods.getStatus = function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+};
+
+invitationSchema.statics.INVITABLE_ROLES = INVITABLE_ROLES;
+
+module.exports = mongoose.model('Invitation', invitationSchema);
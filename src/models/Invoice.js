@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const addressSchema = new mongoose.Schema({
+  street: String,
+  city: String,
+  state: String,
+  zipCode: String,
+  country: String
+}, { _id: false });
+
+const invoiceLineSchema = new mongoose.Schema({
+  sku: String,
+  description: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unitNetPrice: {
+    type: Number,
+    required: true
+  },
+  vatRate: {
+    type: Number,
+    required: true
+  },
+  net: {
+    type: Number,
+    required: true
+  },
+  vat: {
+    type: Number,
+    required: true
+  },
+  gross: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// Fiscal document issued for a paid order. Number and issue date never change;
+// seller/customer data and the PDF can be regenerated by an admin.
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fiscalYear: {
+    type: Number,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  // Invoice when the customer provided fiscal data, receipt otherwise
+  type: {
+    type: String,
+    enum: ['invoice', 'receipt'],
+    default: 'receipt'
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderNumber: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issueDate: {
+    type: Date,
+    required: true
+  },
+  seller: {
+    legalName: String,
+    vatNumber: String,
+    taxCode: String,
+    rea: String,
+    pec: String,
+    email: String,
+    address: addressSchema
+  },
+  customer: {
+    name: String,
+    email: String,
+    taxCode: String,
+    vatNumber: String,
+    code: String,
+    address: addressSchema
+  },
+  lines: [invoiceLineSchema],
+  vatBreakdown: [{
+    _id: false,
+    vatRate: Number,
+    taxable: Number,
+    vat: Number
+  }],
+  totals: {
+    // VAT-inclusive voucher discount, already deducted from the other totals
+    discount: { type: Number, default: 0 },
+    net: { type: Number, required: true },
+    vat: { type: Number, required: true },
+    gross: { type: Number, required: true }
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  revision: {
+    type: Number,
+    default: 0
+  },
+  regeneratedAt: Date,
+  regeneratedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ fiscalYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ userId: 1, issueDate: -1 });
+
+// Static methods
+invoiceSchema.statics.nextNumber = async function(fiscalYear, session = null) {
+  const sequence = await Counter.next(`invoice-${fiscalYear}`, session);
+  return {
+    sequence,
+    invoiceNumber: `${sequence}/${fiscalYear}`
+  };
+};
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Failed attempts of one account or IP in one scope, for the mongo lockout store
+const loginAttemptSchema = new mongoose.Schema({
+  // `${scope}:${type}:${identifier}`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  identifier: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  firstAttemptAt: {
+    type: Date
+  },
+  // Attempt before the last one, to work out the delay the last one had to wait
+  previousAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  // When the record stops mattering: end of the window or of the lockout
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: -1 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const immutable = require('./plugins/immutable');
+
+const LOYALTY_TYPES = ['earned', 'redeemed', 'expired', 'adjusted'];
+
+// Points ledger entry: positive points are credits, negative points are debits
+const loyaltyTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: LOYALTY_TYPES,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Earned points expire at this date
+  expiresAt: {
+    type: Date
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+loyaltyTransactionSchema.index({ userId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ orderId: 1 });
+
+loyaltyTransactionSchema.plugin(immutable, { name: 'Loyalty transactions' });
+
+loyaltyTransactionSchema.statics.LOYALTY_TYPES = LOYALTY_TYPES;
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
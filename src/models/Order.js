@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const ORDER_STATUSES = ['pending', 'paid', 'shipped', 'completed', 'cancelled'];
+
+// Allowed status lifecycle: pending -> paid -> shipped -> completed, with cancellation before shipping completes
+const ORDER_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses that count as a purchase for the buyer
+const PURCHASED_STATUSES = ['paid', 'shipped', 'completed'];
+
+const orderItemSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  sku: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  vatRate: {
+    type: Number,
+    default: 0.22,
+    min: 0,
+    max: 1
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'Order must contain at least one item']
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Voucher discount applied to the subtotal
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  voucherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Voucher'
+  },
+  voucherCode: {
+    type: String
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [statusChangeSchema],
+  shippingAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  paidAt: Date,
+  shippedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderSchema.index({ userId: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ userId: 1, paidAt: 1 });
+orderSchema.index({ paidAt: 1 });
+
+// Instance methods
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+orderSchema.methods.isPurchased = function() {
+  return PURCHASED_STATUSES.includes(this.status);
+};
+
+// Static methods
+orderSchema.statics.generateOrderNumber = async function(session = null) {
+  const seq = await Counter.next('order', session);
+  return `ORD-${seq.toString().padStart(6, '0')}`;
+};
+
+orderSchema.statics.ORDER_STATUSES = ORDER_STATUSES;
+orderSchema.statics.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
+orderSchema.statics.PURCHASED_STATUSES = PURCHASED_STATUSES;
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const BATCH_STATUSES = ['draft', 'approved', 'paid'];
+
+// Allowed status workflow: draft -> approved -> paid
+const BATCH_TRANSITIONS = {
+  draft: ['approved'],
+  approved: ['paid'],
+  paid: []
+};
+
+const payoutItemSchema = new mongoose.Schema({
+  beneficiaryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  periodEarningId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PeriodEarning',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reference: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const payoutBatchSchema = new mongoose.Schema({
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionPeriod',
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: BATCH_STATUSES,
+    default: 'draft'
+  },
+  items: [payoutItemSchema],
+  total: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  approvedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paymentReference: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+payoutBatchSchema.index({ 'items.beneficiaryId': 1 });
+
+// Instance methods
+payoutBatchSchema.methods.canTransitionTo = function(status) {
+  return (BATCH_TRANSITIONS[this.status] || []).includes(status);
+};
+
+payoutBatchSchema.statics.BATCH_STATUSES = BATCH_STATUSES;
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const immutable = require('./plugins/immutable');
+
+// Snapshot of an ambassador's earnings for a closed commission period
+const periodEarningSchema = new mongoose.Schema({
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CommissionPeriod',
+    required: true
+  },
+  beneficiaryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Balance below the minimum payout carried over from the previous period
+  broughtForward: {
+    type: Number,
+    default: 0
+  },
+  // Ledger totals booked within the period
+  earnings: {
+    type: Number,
+    default: 0
+  },
+  byType: {
+    direct_sale: { type: Number, default: 0 },
+    downline_sale: { type: Number, default: 0 },
+    bonus: { type: Number, default: 0 },
+    adjustment: { type: Number, default: 0 }
+  },
+  byGeneration: [{
+    _id: false,
+    generation: Number,
+    count: Number,
+    amount: Number,
+    volume: Number
+  }],
+  available: {
+    type: Number,
+    default: 0
+  },
+  payable: {
+    type: Number,
+    default: 0
+  },
+  carriedForward: {
+    type: Number,
+    default: 0
+  },
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+periodEarningSchema.index({ periodId: 1, beneficiaryId: 1 }, { unique: true });
+periodEarningSchema.index({ beneficiaryId: 1, createdAt: -1 });
+
+periodEarningSchema.plugin(immutable, { name: 'Period earning snapshots' });
+
+module.exports = mongoose.model('PeriodEarning', periodEarningSchema);
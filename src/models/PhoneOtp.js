@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One-time code sent by SMS to verify a phone number; only an HMAC of the code is stored
+const phoneOtpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Number the code was sent to, in E.164 format
+  phone: {
+    type: String,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  verifiedAt: {
+    type: Date
+  },
+  // Set when a newer code replaced this one or too many attempts failed
+  invalidatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+phoneOtpSchema.index({ userId: 1, createdAt: -1 });
+// Keep expired codes for a day to support resend limits, then purge them
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Instance methods
+phoneOtpSchema.methods.isUsable = function() {
+  return !this.verifiedAt && !this.invalidatedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const localizedTextSchema = new mongoose.Schema({
+  it: { type: String, trim: true },
+  en: { type: String, trim: true },
+  es: { type: String, trim: true },
+  fr: { type: String, trim: true }
+}, { _id: false });
+
+const productSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: localizedTextSchema,
+    default: () => ({})
+  },
+  category: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Gross unit price, VAT included
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  vatRate: {
+    type: Number,
+    default: 0.22,
+    min: 0,
+    max: 1
+  },
+  images: [{
+    type: String,
+    trim: true
+  }],
+  active: {
+    type: Boolean,
+    default: true
+  },
+  stock: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  archivedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+productSchema.index({ active: 1, category: 1 });
+productSchema.index({ name: 1 });
+
+// Instance methods
+productSchema.methods.getDescription = function(language = 'it') {
+  const description = this.description || {};
+  return description[language] || description.it || description.en || '';
+};
+
+productSchema.methods.toCatalogItem = function(language = 'it') {
+  return {
+    id: this._id,
+    sku: this.sku,
+    name: this.name,
+    price: this.price,
+    category: this.category,
+    description: this.getDescription(language),
+    image: this.images[0] || null,
+    images: this.images,
+    stock: this.stock,
+    inStock: this.stock > 0
+  };
+};
+
+// Static methods
+productSchema.statics.findBySku = function(sku) {
+  return this.findOne({ sku: sku.toUpperCase() });
+};
+
+productSchema.statics.findActive = function(filter = {}) {
+  return this.find({ ...filter, active: true });
+};
+
+module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Career title with the qualifications an ambassador must meet over the evaluation window
+const rankSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Position in the career ladder, higher is better
+  level: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+  qualifications: {
+    // Own purchases plus those of personally sponsored clients
+    personalVolume: { type: Number, min: 0, default: 0 },
+    // Purchases of the whole downline, own purchases included
+    groupVolume: { type: Number, min: 0, default: 0 },
+    // Frontline legs meeting legVolume and legRankLevel
+    qualifiedLegs: { type: Number, min: 0, default: 0 },
+    legVolume: { type: Number, min: 0, default: 0 },
+    legRankLevel: { type: Number, min: 0, default: 0 },
+    // Active downline members who purchased within the window
+    activeMembers: { type: Number, min: 0, default: 0 }
+  },
+  active: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+rankSchema.statics.findLadder = function() {
+  return this.find({ active: true }).sort({ level: 1 });
+};
+
+module.exports = mongoose.model('Rank', rankSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const immutable = require('./plugins/immutable');
+
+const RANK_CHANGES = ['promotion', 'demotion'];
+
+// Append-only record of every rank change of an ambassador
+const rankHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  change: {
+    type: String,
+    enum: RANK_CHANGES,
+    required: true
+  },
+  fromRankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rank'
+  },
+  fromLevel: {
+    type: Number,
+    default: 0
+  },
+  toRankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rank'
+  },
+  toLevel: {
+    type: Number,
+    default: 0
+  },
+  // Evaluation window the change was based on
+  windowStart: Date,
+  windowEnd: Date,
+  metrics: {
+    personalVolume: Number,
+    groupVolume: Number,
+    qualifiedLegs: Number,
+    activeMembers: Number
+  },
+  // Set for manual overrides
+  reason: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+rankHistorySchema.index({ userId: 1, createdAt: -1 });
+
+rankHistorySchema.plugin(immutable, { name: 'Rank history' });
+
+rankHistorySchema.statics.RANK_CHANGES = RANK_CHANGES;
+
+module.exports = mongoose.model('RankHistory', rankHistorySchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Login session backing a rotating refresh token, or an admin's impersonation of a user
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token secret; the token itself is never stored.
+  // Impersonation sessions have no refresh token.
+  refreshTokenHash: {
+    type: String,
+    required: function() {
+      return !this.impersonatorId;
+    }
+  },
+  // Hash of the token replaced by the last rotation, to detect reuse of a stolen token
+  previousTokenHash: {
+    type: String
+  },
+  device: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  rememberMe: {
+    type: Boolean,
+    default: false
+  },
+  // Admin acting as userId, and why
+  impersonatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonationReason: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password_change', 'token_reuse', 'admin', 'two_factor_required', 'two_factor_reset', 'impersonation_end']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Purge sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Instance methods
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static methods
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -24,6 +24,7 @@ const userSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // E.164 format, normalized by utils/phone
   phone: {
     type: String,
     trim: true
@@ -38,6 +39,27 @@ const userSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'pending'],
     default: 'pending'
   },
+  // Every status change, used by the growth analytics
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: ['active', 'inactive', 'pending'],
+      required: true
+    },
+    previousStatus: {
+      type: String,
+      enum: ['active', 'inactive', 'pending']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   // MLM specific fields
   sponsorId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -67,6 +89,30 @@ const userSchema = new mongoose.Schema({
     min: 0,
     max: 1
   },
+  // Career rank, maintained by utils/ranks
+  rankId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Rank'
+  },
+  rankAchievedAt: {
+    type: Date
+  },
+  // Figures of the last rank evaluation
+  rankMetrics: {
+    personalVolume: Number,
+    groupVolume: Number,
+    activeMembers: Number,
+    legs: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      volume: Number,
+      rankLevel: Number
+    }],
+    windowStart: Date,
+    windowEnd: Date,
+    evaluatedAt: Date
+  },
+  // Cached sum of the Commission ledger, maintained by utils/commissions
   totalEarnings: {
     type: Number,
     default: 0
@@ -95,6 +141,16 @@ const userSchema = new mongoose.Schema({
   dateOfBirth: {
     type: Date
   },
+  // Fiscal data printed on invoices
+  taxCode: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  vatNumber: {
+    type: String,
+    trim: true
+  },
   // Preferences
   language: {
     type: String,
@@ -109,13 +165,56 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date
   },
+  // Access tokens issued before this date are rejected
+  passwordChangedAt: {
+    type: Date
+  },
   emailVerified: {
     type: Boolean,
     default: false
   },
+  emailVerifiedAt: {
+    type: Date
+  },
   phoneVerified: {
     type: Boolean,
     default: false
+  },
+  phoneVerifiedAt: {
+    type: Date
+  },
+  // TOTP two-factor authentication, managed by utils/twoFactor. Secrets are
+  // stored encrypted and, like the recovery code hashes, never selected by default.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        _id: false,
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    }
   }
 }, {
   timestamps: true
@@ -126,11 +225,18 @@ userSchema.index({ email: 1 });
 userSchema.index({ ambassadorCode: 1 });
 userSchema.index({ clientCode: 1 });
 userSchema.index({ sponsorId: 1 });
+userSchema.index({ upline: 1 });
+userSchema.index({ createdAt: 1 });
+userSchema.index({ 'statusHistory.changedAt': 1 });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
+
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
@@ -140,6 +246,14 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Record the initial status
+userSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status, changedAt: this.createdAt || new Date() });
+  }
+  next();
+});
+
 // Generate unique codes
 userSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -179,6 +293,15 @@ userSchema.methods.generateUniqueCode = async function(prefix) {
   return code;
 };
 
+// Change status, keeping the history in sync (no-op when unchanged)
+userSchema.methods.setStatus = function(status, changedBy) {
+  if (this.status === status) return false;
+
+  this.statusHistory.push({ status, previousStatus: this.status, changedBy });
+  this.status = status;
+  return true;
+};
+
 userSchema.methods.getFullName = function() {
   return `${this.firstName} ${this.lastName}`;
 };
@@ -191,6 +314,21 @@ userSchema.methods.getUplineCount = function() {
   return this.upline.length;
 };
 
+// Ordered ancestor ids: direct sponsor first, then the rest of the upline
+userSchema.methods.getAncestorIds = function() {
+  const ancestors = [];
+  const seen = new Set();
+
+  [this.sponsorId, ...(this.upline || [])].forEach(id => {
+    if (id && !seen.has(id.toString())) {
+      seen.add(id.toString());
+      ancestors.push(id);
+    }
+  });
+
+  return ancestors;
+};
+
 // Static methods
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const TOKEN_PURPOSES = ['email_verification', 'password_reset', 'two_factor_challenge', 'two_factor_setup'];
+
+// Single-use token sent to a user out of band (e.g. by email); only its hash is stored
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  // Wrong codes entered against this token (two-factor challenges)
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Set when a newer token of the same purpose replaced this one
+  invalidatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+userTokenSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+// Keep expired tokens for a day to support resend throttling, then purge them
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Instance methods
+userTokenSchema.methods.isUsable = function() {
+  return !this.usedAt && !this.invalidatedAt && this.expiresAt > new Date();
+};
+
+userTokenSchema.statics.TOKEN_PURPOSES = TOKEN_PURPOSES;
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,68 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const voucherSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'EUR'
+  },
+  pointsRedeemed: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'used'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: Date,
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+voucherSchema.index({ userId: 1, createdAt: -1 });
+
+// Instance methods
+voucherSchema.methods.isUsable = function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+};
+
+// Static methods
+voucherSchema.statics.generateCode = async function(session = null) {
+  let code;
+  let exists = true;
+
+  while (exists) {
+    code = `VCH${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+    exists = await this.exists({ code }).session(session);
+  }
+
+  return code;
+};
+
+module.exports = mongoose.model('Voucher', voucherSchema);
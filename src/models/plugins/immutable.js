@@ -0,0 +1,19 @@
+// Schema plugin for append-only collections: documents can be inserted but never updated or deleted
+const immutable = (schema, { name = 'Documents' } = {}) => {
+  const rejectMutation = function(next) {
+    next(new Error(`${name} are immutable`));
+  };
+
+  schema.pre('save', function(next) {
+    if (!this.isNew) return rejectMutation(next);
+    next();
+  });
+
+  schema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    rejectMutation
+  );
+};
+
+module.exports = immutable;
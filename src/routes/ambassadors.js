@@ -1,8 +1,22 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Commission = require('../models/Commission');
+const CommissionPeriod = require('../models/CommissionPeriod');
+const PeriodEarning = require('../models/PeriodEarning');
 const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { roundCurrency } = require('../utils/money');
+const { resolveRange, getUserTimezone } = require('../utils/dates');
+const { getEarningsSeries } = require('../utils/commissions');
+const { getPayoutSummary } = require('../utils/payouts');
+const { getRankStatus } = require('../utils/ranks');
+const { getNetworkTree, searchNetwork } = require('../utils/network');
+const { renderStatement } = require('../utils/statements');
+const { sendPdf } = require('../utils/pdf');
 const router = express.Router();
 
+const MONTH_LABELS = ['Gen', 'Feb', 'Mar', 'Apr', 'Mag', 'Giu', 'Lug', 'Ago', 'Set', 'Ott', 'Nov', 'Dic'];
+
 // Get ambassador's downline
 router.get('/downline', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
   try {
@@ -43,61 +57,88 @@ router.get('/downline', authenticateToken, authorizeRoles('ambassador'), async (
 // Get ambassador's earnings
 router.get('/earnings', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
   try {
-    const { period = 'month' } = req.query;
-    
-    // Get earnings by period (simplified calculation)
-    const earnings = await User.aggregate([
-      { $match: { sponsorId: req.user._id } },
+    const { period = 'month', from, to, timezone } = req.query;
+
+    // Get earnings totals from the commission ledger
+    const ledgerTotals = await Commission.aggregate([
+      { $match: { beneficiaryId: req.user._id } },
       {
         $group: {
-          _id: null,
-          totalEarnings: { $sum: '$totalEarnings' },
-          totalPurchases: { $sum: '$totalPurchases' },
-          memberCount: { $sum: 1 }
+          _id: '$type',
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
         }
       }
     ]);
 
-    // Calculate commission (simplified)
+    const totalEarnings = roundCurrency(ledgerTotals.reduce((sum, t) => sum + t.total, 0));
+    const earningsByType = ledgerTotals.reduce((byType, t) => {
+      byType[t._id] = roundCurrency(t.total);
+      return byType;
+    }, {});
+
+    const memberCount = await User.countDocuments({ sponsorId: req.user._id });
     const commissionRate = req.user.commissionRate || 0.05;
-    const totalCommission = (earnings[0]?.totalPurchases || 0) * commissionRate;
 
-    // Get earnings by level
-    const earningsByLevel = await User.aggregate([
-      { $match: { upline: req.user._id } },
+    // Get earnings by downline generation
+    const earningsByLevel = await Commission.aggregate([
+      { $match: { beneficiaryId: req.user._id, generation: { $exists: true } } },
       {
         $group: {
-          _id: '$level',
-          count: { $sum: 1 },
-          totalEarnings: { $sum: '$totalEarnings' },
-          totalPurchases: { $sum: '$totalPurchases' }
+          _id: '$generation',
+          count: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, 0, 1] } },
+          totalEarnings: { $sum: '$amount' },
+          totalPurchases: {
+            $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, { $multiply: ['$baseAmount', -1] }, '$baseAmount'] }
+          }
         }
       },
       { $sort: { _id: 1 } }
     ]);
 
-    // Get monthly earnings (simplified)
-    const monthlyEarnings = [
-      { month: 'Gen', earnings: Math.floor(Math.random() * 1000), commission: Math.floor(Math.random() * 100) },
-      { month: 'Feb', earnings: Math.floor(Math.random() * 1000), commission: Math.floor(Math.random() * 100) },
-      { month: 'Mar', earnings: Math.floor(Math.random() * 1000), commission: Math.floor(Math.random() * 100) },
-      { month: 'Apr', earnings: Math.floor(Math.random() * 1000), commission: Math.floor(Math.random() * 100) },
-      { month: 'Mag', earnings: Math.floor(Math.random() * 1000), commission: Math.floor(Math.random() * 100) },
-      { month: 'Giu', earnings: Math.floor(Math.random() * 1000), commission: Math.floor(Math.random() * 100) }
-    ];
+    // Net sale commissions, including reversals of cancelled orders
+    const totalCommission = roundCurrency(earningsByLevel.reduce((sum, l) => sum + l.totalEarnings, 0));
+
+    // Get period closing and payout status
+    const payouts = await getPayoutSummary(req.user._id);
+
+    // Get earnings over time from the ledger
+    const range = resolveRange({ period, from, to, timezone: timezone || getUserTimezone(req.user) });
+    const series = await getEarningsSeries(req.user._id, range);
+
+    // Last six months, in the shape the dashboard chart has always read
+    const monthRange = resolveRange({ period: 'month', count: 6, timezone: range.timezone });
+    const monthlyEarnings = (await getEarningsSeries(req.user._id, monthRange)).map(bucket => ({
+      month: MONTH_LABELS[parseInt(bucket.period.slice(5)) - 1],
+      earnings: bucket.earnings,
+      commission: bucket.commission
+    }));
 
     res.json({
       summary: {
-        totalEarnings: earnings[0]?.totalEarnings || 0,
-        totalCommission: totalCommission,
-        memberCount: earnings[0]?.memberCount || 0,
+        totalEarnings,
+        totalCommission,
+        memberCount,
         commissionRate: (commissionRate * 100).toFixed(1) + '%'
       },
+      earningsByType,
       earningsByLevel,
-      monthlyEarnings
+      payouts,
+      monthlyEarnings,
+      series: {
+        period: range.period,
+        timezone: range.timezone,
+        from: range.start,
+        to: range.end,
+        data: series
+      }
     });
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Get earnings error:', error);
     res.status(500).json({
       error: 'Failed to get earnings',
@@ -106,44 +147,13 @@ router.get('/earnings', authenticateToken, authorizeRoles('ambassador'), async (
   }
 });
 
-// Get ambassador's network tree
+// Get ambassador's network tree, with per-node totals. ?depth (or levels) is capped by the
+// server; ?nodeId loads the branch below one of my members; page/limit page its direct members.
 router.get('/network', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
   try {
-    const { levels = 3 } = req.query;
-
-    // Get direct downline
-    const directDownline = await User.find({ sponsorId: req.user._id })
-      .select('firstName lastName email role status createdAt level')
-      .sort({ createdAt: -1 });
-
-    // Build network tree
-    const buildNetworkTree = async (userId, currentLevel = 0, maxLevel = parseInt(levels)) => {
-      if (currentLevel >= maxLevel) return [];
-
-      const downline = await User.find({ sponsorId: userId })
-        .select('firstName lastName email role status createdAt level')
-        .sort({ createdAt: -1 });
-
-      const tree = [];
-      for (const member of downline) {
-        const memberNode = {
-          id: member._id,
-          firstName: member.firstName,
-          lastName: member.lastName,
-          email: member.email,
-          role: member.role,
-          status: member.status,
-          level: member.level,
-          createdAt: member.createdAt,
-          children: await buildNetworkTree(member._id, currentLevel + 1, maxLevel)
-        };
-        tree.push(memberNode);
-      }
+    const { nodeId, depth, levels, page, limit } = req.query;
 
-      return tree;
-    };
-
-    const networkTree = await buildNetworkTree(req.user._id);
+    const tree = await getNetworkTree(req.user._id, { nodeId, depth: depth || levels, page, limit });
 
     res.json({
       ambassador: {
@@ -153,10 +163,19 @@ router.get('/network', authenticateToken, authorizeRoles('ambassador'), async (r
         email: req.user.email,
         level: req.user.level
       },
-      network: networkTree
+      root: tree.root,
+      depth: tree.depth,
+      maxDepth: tree.maxDepth,
+      window: tree.window,
+      network: tree.root.children,
+      pagination: tree.pagination
     });
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Get network error:', error);
     res.status(500).json({
       error: 'Failed to get network',
@@ -165,6 +184,26 @@ router.get('/network', authenticateToken, authorizeRoles('ambassador'), async (r
   }
 });
 
+// Search my network by name, email or code
+router.get('/network/search', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
+  try {
+    const members = await searchNetwork(req.user, req.query.q);
+
+    res.json({ members });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Search network error:', error);
+    res.status(500).json({
+      error: 'Failed to search network',
+      message: 'Impossibile cercare nella rete'
+    });
+  }
+});
+
 // Get ambassador's statistics
 router.get('/stats', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
   try {
@@ -215,7 +254,8 @@ router.get('/stats', authenticateToken, authorizeRoles('ambassador'), async (req
         totalPurchases: 0
       },
       growth: growthData,
-      topPerformers
+      topPerformers,
+      rank: await getRankStatus(req.user)
     };
 
     res.json(stats);
@@ -253,42 +293,40 @@ router.get('/referral-link', authenticateToken, authorizeRoles('ambassador'), as
 // Get ambassador's commission history
 router.get('/commission-history', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, type, from, to } = req.query;
     const skip = (page - 1) * limit;
 
-    // Simplified commission history (in a real app, this would come from a separate collection)
-    const commissionHistory = [
-      {
-        id: 1,
-        date: '2024-06-15',
-        member: 'Mario Rossi',
-        amount: 150,
-        commission: 7.5,
-        type: 'direct_sale'
-      },
-      {
-        id: 2,
-        date: '2024-06-14',
-        member: 'Giulia Bianchi',
-        amount: 200,
-        commission: 10,
-        type: 'downline_sale'
-      },
-      {
-        id: 3,
-        date: '2024-06-13',
-        member: 'Luca Verdi',
-        amount: 100,
-        commission: 5,
-        type: 'direct_sale'
-      }
-    ];
+    const filter = { beneficiaryId: req.user._id };
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
 
-    const total = commissionHistory.length;
-    const paginatedHistory = commissionHistory.slice(skip, skip + parseInt(limit));
+    const entries = await Commission.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('sourceUserId', 'firstName lastName');
+
+    const total = await Commission.countDocuments(filter);
+
+    const commissionHistory = entries.map(entry => ({
+      id: entry._id,
+      date: entry.createdAt,
+      member: entry.sourceUserId ? `${entry.sourceUserId.firstName} ${entry.sourceUserId.lastName}` : null,
+      orderNumber: entry.orderNumber,
+      amount: entry.baseAmount,
+      commission: entry.amount,
+      rate: entry.rate,
+      generation: entry.generation,
+      type: entry.type,
+      description: entry.description
+    }));
 
     res.json({
-      commissionHistory: paginatedHistory,
+      commissionHistory,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -306,4 +344,66 @@ router.get('/commission-history', authenticateToken, authorizeRoles('ambassador'
   }
 });
 
+// List ambassador's commission statements (closed periods)
+router.get('/statements', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
+  try {
+    const snapshots = await PeriodEarning.find({ beneficiaryId: req.user._id })
+      .sort({ createdAt: -1 })
+      .populate('periodId', 'key frequency startDate endDate');
+
+    const statements = snapshots
+      .filter(snapshot => snapshot.periodId)
+      .map(snapshot => ({
+        periodId: snapshot.periodId._id,
+        period: snapshot.periodId.key,
+        startDate: snapshot.periodId.startDate,
+        endDate: snapshot.periodId.endDate,
+        earnings: snapshot.earnings,
+        payable: snapshot.payable,
+        carriedForward: snapshot.carriedForward
+      }));
+
+    res.json({ statements });
+
+  } catch (error) {
+    console.error('List statements error:', error);
+    res.status(500).json({
+      error: 'Failed to list statements',
+      message: 'Impossibile ottenere gli estratti conto'
+    });
+  }
+});
+
+// Download ambassador's commission statement PDF for a closed period (id or key, e.g. 2026-10)
+router.get('/statements/:period', authenticateToken, authorizeRoles('ambassador'), async (req, res) => {
+  try {
+    const { period: periodParam } = req.params;
+
+    const period = mongoose.isValidObjectId(periodParam)
+      ? await CommissionPeriod.findById(periodParam)
+      : await CommissionPeriod.findOne({ key: periodParam }).sort({ endDate: -1 });
+
+    const snapshot = period
+      ? await PeriodEarning.findOne({ periodId: period._id, beneficiaryId: req.user._id })
+      : null;
+
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Statement not found',
+        message: 'Estratto conto non trovato'
+      });
+    }
+
+    const pdf = await renderStatement(req.user, period, snapshot);
+    sendPdf(res, pdf, `statement-${req.user.ambassadorCode || req.user._id}-${period.key}.pdf`);
+
+  } catch (error) {
+    console.error('Generate statement error:', error);
+    res.status(500).json({
+      error: 'Failed to generate statement',
+      message: 'Impossibile generare l\'estratto conto'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,78 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const router = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Query the audit log (admin only). `action` matches exactly, or by prefix when it
+// ends with * (e.g. user.*); impersonatorId lists what an admin did while impersonating;
+// from/to bound the timestamp.
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { actorId, impersonatorId, targetId, targetType, action, from, to, page = 1, limit = 50 } = req.query;
+
+    if ([actorId, impersonatorId, targetId].some(id => id && !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        error: 'Invalid id',
+        message: 'ID non valido'
+      });
+    }
+
+    const filter = {};
+    if (actorId) filter.actorId = actorId;
+    if (impersonatorId) filter.impersonatorId = impersonatorId;
+    if (targetId) filter.targetId = targetId;
+    if (targetType) filter.targetType = targetType;
+    if (action) {
+      filter.action = action.endsWith('*')
+        ? { $regex: `^${escapeRegex(action.slice(0, -1))}` }
+        : action;
+    }
+
+    if (from || to) {
+      const start = from ? new Date(from) : null;
+      const end = to ? new Date(to) : null;
+      if ((start && isNaN(start)) || (end && isNaN(end))) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          message: 'Intervallo di date non valido'
+        });
+      }
+      filter.createdAt = {};
+      if (start) filter.createdAt.$gte = start;
+      if (end) filter.createdAt.$lte = end;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actorId', 'firstName lastName email role')
+      .populate('impersonatorId', 'firstName lastName email');
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      error: 'Failed to get audit log',
+      message: 'Impossibile ottenere il registro attività'
+    });
+  }
+});
+
+module.exports = router;
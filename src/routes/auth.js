@@ -1,9 +1,75 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { generateToken, authenticateToken } = require('../utils/auth');
+const Session = require('../models/Session');
+const { authenticateToken, authorizeRoles, forbidWhileImpersonating, optionalAuth } = require('../utils/auth');
+const { createSession, createImpersonationSession, rotateSession, revokeSession, revokeUserSessions } = require('../utils/sessions');
+const { assertEmailVerified, sendVerificationEmail, verifyEmail } = require('../utils/emailVerification');
+const { requestPasswordReset, resetPassword } = require('../utils/passwordReset');
+const { normalizePhoneField } = require('../utils/phone');
+const { sendPhoneOtp, verifyPhoneOtp } = require('../utils/phoneVerification');
+const {
+  isTwoFactorRequired,
+  loadTwoFactorUser,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  createChallenge,
+  resolveChallenge,
+  completeLoginChallenge,
+  completeSetupChallenge
+} = require('../utils/twoFactor');
+const { reserveAttempt, registerFailure, releaseAttempt, clearFailures } = require('../utils/lockout');
+const { resolveInvitation, acceptInvitation } = require('../utils/invitations');
+const { createMember } = require('../utils/genealogy');
+const registrationConfig = require('../config/registration');
+const { recordAudit } = require('../utils/audit');
+const { ApiError } = require('../utils/errors');
 const router = express.Router();
 
+// Start a session for a user who passed every login step and send the login response
+// (`method` is the last factor checked, for the audit log)
+const completeLogin = async (user, req, res, { rememberMe, method = 'password', extra = {} } = {}) => {
+  // Remembered sessions get a longer-lived refresh token
+  const { session, token, refreshToken, expiresIn } = await createSession(user, req, { rememberMe });
+
+  // Update last login
+  user.lastLogin = new Date();
+  await user.save();
+
+  await clearFailures('login', { email: user.email });
+
+  await recordAudit(req, {
+    action: 'auth.login',
+    actor: user,
+    targetType: 'User',
+    targetId: user._id,
+    sessionId: session._id,
+    metadata: { method, rememberMe: Boolean(rememberMe) }
+  });
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    expiresIn,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      status: user.status,
+      ambassadorCode: user.ambassadorCode,
+      clientCode: user.clientCode,
+      language: user.language
+    },
+    ...extra
+  });
+};
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -25,6 +91,21 @@ router.post('/register', async (req, res) => {
       });
     }
 
+    // Staff accounts are only created through invitations
+    if (!registrationConfig.publicRoles.includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        message: 'Ruolo non valido'
+      });
+    }
+
+    if (role === 'ambassador' && registrationConfig.ambassadorSignup === 'closed') {
+      return res.status(403).json({
+        error: 'Ambassador registration is closed',
+        message: 'Registrazione ambassador chiusa'
+      });
+    }
+
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -46,6 +127,14 @@ router.post('/register', async (req, res) => {
       }
     }
 
+    if (role === 'ambassador' && registrationConfig.ambassadorSignup === 'sponsored' &&
+      !(sponsor && sponsor.role === 'ambassador' && sponsor.status === 'active')) {
+      return res.status(400).json({
+        error: 'An active ambassador sponsor code is required',
+        message: 'È richiesto il codice sponsor di un ambassador attivo'
+      });
+    }
+
     // Create new user
     const userData = {
       email,
@@ -55,34 +144,29 @@ router.post('/register', async (req, res) => {
       phone,
       role
     };
+    normalizePhoneField(userData);
 
-    if (sponsor) {
-      userData.sponsorId = sponsor._id;
-      userData.level = sponsor.level + 1;
-    }
+    // Member, upline and the sponsor's downline are written together
+    const user = await createMember(userData, sponsor ? sponsor._id : null);
 
-    const user = new User(userData);
-    await user.save();
-
-    // Update sponsor's downline if exists
-    if (sponsor) {
-      sponsor.downline.push(user._id);
-      await sponsor.save();
-
-      // Build upline chain
-      let currentSponsor = sponsor;
-      const upline = [];
-      while (currentSponsor.sponsorId) {
-        upline.push(currentSponsor.sponsorId);
-        currentSponsor = await User.findById(currentSponsor.sponsorId);
-        if (!currentSponsor) break;
-      }
-      user.upline = upline;
-      await user.save();
+    // Ask the user to confirm the email address; a mail failure must not fail the registration
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await recordAudit(req, {
+      action: 'user.register',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      after: user,
+      metadata: { sponsorId: user.sponsorId }
+    });
+
+    // Start a session
+    const { token, refreshToken, expiresIn } = await createSession(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -91,6 +175,8 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         email: user.email,
@@ -104,6 +190,18 @@ router.post('/register', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    // Concurrent signup with the same email
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'User already exists',
+        message: 'Utente già esistente'
+      });
+    }
+
     console.error('Registration error:', error);
     res.status(500).json({
       error: 'Registration failed',
@@ -112,6 +210,103 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Look up an invitation link, so the signup form can show who is invited and as what
+router.get('/accept-invite', async (req, res) => {
+  try {
+    const invitation = await resolveInvitation(req.query.token);
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        expiresAt: invitation.expiresAt
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Get invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to get invitation',
+      message: 'Impossibile ottenere l\'invito'
+    });
+  }
+});
+
+// Accept a staff invitation, creating the account
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password, firstName, lastName, phone } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Token and password required',
+        message: 'Token e password richiesti'
+      });
+    }
+
+    const { user, invitation } = await acceptInvitation(token, { password, firstName, lastName, phone });
+
+    await recordAudit(req, {
+      action: 'invitation.accept',
+      actor: user,
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { userId: user._id, role: user.role, invitedBy: invitation.invitedBy }
+    });
+    const userInfo = {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      status: user.status
+    };
+
+    // Staff roles usually require 2FA: enroll before the first session
+    if (isTwoFactorRequired(user)) {
+      const challenge = await createChallenge(user, 'two_factor_setup');
+      return res.status(201).json({
+        message: 'Invitation accepted, set up two-factor authentication to sign in',
+        message_it: 'Invito accettato, configura l\'autenticazione a due fattori per accedere',
+        twoFactorSetupRequired: true,
+        ...challenge,
+        user: userInfo
+      });
+    }
+
+    const { token: accessToken, refreshToken, expiresIn } = await createSession(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.status(201).json({
+      message: 'Invitation accepted',
+      message_it: 'Invito accettato',
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      user: userInfo
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to accept invitation',
+      message: 'Impossibile accettare l\'invito'
+    });
+  }
+});
+
 // Login user
 router.post('/login', async (req, res) => {
   try {
@@ -125,25 +320,98 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find user by email
+    // Count the attempt up front; refused while the account or IP is locked out or throttled
+    const attempt = await reserveAttempt('login', { email, ip: req.ip });
+
+    // Find user by email and check password; unknown accounts count as failures too
     const user = await User.findByEmail(email);
-    if (!user) {
+    if (!user || !await user.comparePassword(password)) {
+      await registerFailure(attempt);
       return res.status(401).json({
         error: 'Invalid credentials',
         message: 'Credenziali non valide'
       });
     }
+    await releaseAttempt(attempt);
 
-    // Check password
-    const isPasswordValid = await user.comparePassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Credenziali non valide'
+    // Check if account is active
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        error: 'Account not active',
+        message: 'Account non attivo'
       });
     }
 
-    // Check if account is active
+    assertEmailVerified(user, 'login');
+
+    // Enrolled users finish signing in with a code (POST /login/2fa); users whose role
+    // requires 2FA and who haven't enrolled yet must do so first (POST /2fa/setup, /2fa/enable)
+    if (user.twoFactor.enabled) {
+      const challenge = await createChallenge(user, 'two_factor_challenge');
+      return res.json({
+        message: 'Two-factor code required',
+        message_it: 'Codice di verifica richiesto',
+        twoFactorRequired: true,
+        ...challenge
+      });
+    }
+    if (isTwoFactorRequired(user)) {
+      const challenge = await createChallenge(user, 'two_factor_setup');
+      return res.json({
+        message: 'Two-factor authentication setup required',
+        message_it: 'Configurazione dell\'autenticazione a due fattori richiesta',
+        twoFactorSetupRequired: true,
+        ...challenge
+      });
+    }
+
+    await completeLogin(user, req, res, { rememberMe });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Accesso fallito'
+    });
+  }
+});
+
+
+// Second login step: exchange the challenge token and a TOTP or recovery code for a session
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode, rememberMe } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and code required',
+        message: 'Token di verifica e codice richiesti'
+      });
+    }
+
+    // Wrong codes count against the account's login attempts as well as the challenge
+    const { user: pending } = await resolveChallenge(challengeToken, 'two_factor_challenge');
+    const attempt = await reserveAttempt('login', { email: pending.email, ip: req.ip });
+
+    let user;
+    let method;
+    try {
+      ({ user, method } = await completeLoginChallenge(challengeToken, { code, recoveryCode }));
+    } catch (error) {
+      if (error.name === 'ApiError' && error.error === 'Invalid two-factor code') {
+        await registerFailure(attempt);
+      } else {
+        await releaseAttempt(attempt);
+      }
+      throw error;
+    }
+    await releaseAttempt(attempt);
+
+    // The account may have changed since the password step
     if (user.status !== 'active') {
       return res.status(403).json({
         error: 'Account not active',
@@ -151,39 +419,181 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Generate token
-    const tokenExpiry = rememberMe ? '30d' : '7d';
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: tokenExpiry }
-    );
+    await completeLogin(user, req, res, { rememberMe, method });
 
-    // Update last login
-    user.lastLogin = new Date();
-    await user.save();
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Accesso fallito'
+    });
+  }
+});
+
+// Caller of the enrollment endpoints: the signed-in user or, when login requires
+// enrolling first, the holder of the setup challenge
+const resolveEnrollmentUser = async (req) => {
+  if (req.user) {
+    return { user: await loadTwoFactorUser(req.user._id) };
+  }
+  if (!req.body.challengeToken) {
+    throw new ApiError(401, 'Access token required', 'Token di accesso richiesto');
+  }
+  return resolveChallenge(req.body.challengeToken, 'two_factor_setup');
+};
+
+// Get two-factor authentication status
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user._id);
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        role: user.role,
-        status: user.status,
-        ambassadorCode: user.ambassadorCode,
-        clientCode: user.clientCode,
-        language: user.language
+      twoFactor: getTwoFactorStatus(user)
+    });
+
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({
+      error: 'Failed to get two-factor status',
+      message: 'Impossibile ottenere lo stato dell\'autenticazione a due fattori'
+    });
+  }
+});
+
+// Start 2FA enrollment: returns the secret and the otpauth:// URI to show as a QR code
+router.post('/2fa/setup', optionalAuth, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const { user } = await resolveEnrollmentUser(req);
+    const { secret, otpauthUri } = await startEnrollment(user);
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      message_it: 'Scansiona il codice con la tua app di autenticazione, poi conferma con un codice',
+      secret,
+      otpauthUri
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      error: 'Failed to start two-factor setup',
+      message: 'Impossibile avviare la configurazione a due fattori'
+    });
+  }
+});
+
+// Confirm 2FA enrollment with a first code; returns the recovery codes (shown only once).
+// When enrolling during login, also starts the session.
+router.post('/2fa/enable', optionalAuth, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const { code, challengeToken, rememberMe } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Code required',
+        message: 'Codice richiesto'
+      });
+    }
+
+    if (!req.user && challengeToken) {
+      const { user, recoveryCodes, consumed } = await completeSetupChallenge(challengeToken, code);
+
+      await recordAudit(req, { action: 'auth.two_factor_enable', actor: user, targetType: 'User', targetId: user._id });
+
+      if (consumed && user.status === 'active') {
+        return completeLogin(user, req, res, { rememberMe, method: 'totp', extra: { recoveryCodes } });
       }
+
+      return res.json({
+        message: 'Two-factor authentication enabled',
+        message_it: 'Autenticazione a due fattori attivata',
+        recoveryCodes
+      });
+    }
+
+    const { user } = await resolveEnrollmentUser(req);
+    const recoveryCodes = await confirmEnrollment(user, code);
+
+    await recordAudit(req, { action: 'auth.two_factor_enable', targetType: 'User', targetId: user._id });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      message_it: 'Autenticazione a due fattori attivata',
+      recoveryCodes
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Enable two-factor error:', error);
     res.status(500).json({
-      error: 'Login failed',
-      message: 'Accesso fallito'
+      error: 'Failed to enable two-factor authentication',
+      message: 'Impossibile attivare l\'autenticazione a due fattori'
+    });
+  }
+});
+
+// Disable 2FA (password and a code or recovery code required; not allowed where mandatory)
+router.post('/2fa/disable', authenticateToken, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await loadTwoFactorUser(req.user._id);
+
+    await disableTwoFactor(user, { password, code, recoveryCode });
+
+    await recordAudit(req, { action: 'auth.two_factor_disable', targetType: 'User', targetId: user._id });
+
+    res.json({
+      message: 'Two-factor authentication disabled',
+      message_it: 'Autenticazione a due fattori disattivata'
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to disable two-factor authentication',
+      message: 'Impossibile disattivare l\'autenticazione a due fattori'
+    });
+  }
+});
+
+// Replace the recovery codes (a current code is required)
+router.post('/2fa/recovery-codes', authenticateToken, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const user = await loadTwoFactorUser(req.user._id);
+    const recoveryCodes = await regenerateRecoveryCodes(user, req.body.code);
+
+    await recordAudit(req, { action: 'auth.recovery_codes_regenerate', targetType: 'User', targetId: user._id });
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      message_it: 'Codici di recupero rigenerati',
+      recoveryCodes
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate recovery codes',
+      message: 'Impossibile rigenerare i codici di recupero'
     });
   }
 });
@@ -212,8 +622,18 @@ router.get('/me', authenticateToken, async (req, res) => {
         totalEarnings: user.totalEarnings,
         totalPurchases: user.totalPurchases,
         language: user.language,
+        phone: user.phone,
+        emailVerified: user.emailVerified,
+        phoneVerified: user.phoneVerified,
+        twoFactorEnabled: user.twoFactor.enabled,
         lastLogin: user.lastLogin
-      }
+      },
+      impersonatedBy: req.impersonator ? {
+        id: req.impersonator._id,
+        email: req.impersonator.email,
+        firstName: req.impersonator.firstName,
+        lastName: req.impersonator.lastName
+      } : null
     });
 
   } catch (error) {
@@ -225,11 +645,65 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
-// Logout (client-side token removal)
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token required',
+        message: 'Refresh token richiesto'
+      });
+    }
+
+    const { session, ...tokens } = await rotateSession(refreshToken, req);
+
+    const user = await User.findById(session.userId).select('role status twoFactor.enabled');
+    if (!user || user.status !== 'active') {
+      await revokeSession(session._id, session.userId);
+      return res.status(403).json({
+        error: 'Account not active',
+        message: 'Account non attivo'
+      });
+    }
+
+    // Sessions started before 2FA became mandatory for the role end here; the next login enrolls
+    if (isTwoFactorRequired(user) && !user.twoFactor.enabled) {
+      await revokeSession(session._id, session.userId, 'two_factor_required');
+      return res.status(403).json({
+        error: 'Two-factor authentication required',
+        message: 'Autenticazione a due fattori obbligatoria',
+        code: 'TWO_FACTOR_SETUP_REQUIRED'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      message_it: 'Token rinnovato',
+      ...tokens
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Failed to refresh token',
+      message: 'Impossibile rinnovare il token'
+    });
+  }
+});
+
+// Logout: revoke the current session
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just return success
+    await revokeSession(req.session._id, req.user._id, 'logout');
+
+    await recordAudit(req, { action: 'auth.logout', targetType: 'Session', targetId: req.session._id });
+
     res.json({
       message: 'Logout successful',
       message_it: 'Logout effettuato con successo'
@@ -243,6 +717,359 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
+// List my active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id)
+      .sort({ lastSeenAt: -1 })
+      .select('device userAgent ip rememberMe impersonatorId lastSeenAt expiresAt createdAt');
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        rememberMe: session.rememberMe,
+        impersonated: Boolean(session.impersonatorId),
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.session._id)
+      }))
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      message: 'Impossibile ottenere le sessioni'
+    });
+  }
+});
+
+// Revoke all my sessions (?exceptCurrent=true keeps this one)
+router.delete('/sessions', authenticateToken, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+
+    const revoked = await revokeUserSessions(req.user._id, {
+      exceptSessionId: exceptCurrent ? req.session._id : undefined
+    });
+
+    await recordAudit(req, {
+      action: 'auth.sessions_revoke',
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: { revoked, exceptCurrent }
+    });
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      message_it: 'Sessioni revocate con successo',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'Impossibile revocare le sessioni'
+    });
+  }
+});
+
+// Revoke one of my sessions
+router.delete('/sessions/:sessionId', authenticateToken, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const revoked = mongoose.isValidObjectId(sessionId)
+      ? await revokeSession(sessionId, req.user._id)
+      : false;
+
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        message: 'Sessione non trovata'
+      });
+    }
+
+    await recordAudit(req, { action: 'auth.session_revoke', targetType: 'Session', targetId: sessionId });
+
+    res.json({
+      message: 'Session revoked successfully',
+      message_it: 'Sessione revocata con successo'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: 'Impossibile revocare la sessione'
+    });
+  }
+});
+
+// End the impersonation this token belongs to
+router.post('/impersonate/stop', authenticateToken, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({
+        error: 'Not impersonating a user',
+        message: 'Nessuna impersonificazione in corso'
+      });
+    }
+
+    await revokeSession(req.session._id, req.user._id, 'impersonation_end');
+
+    await recordAudit(req, {
+      action: 'impersonation.stop',
+      actor: req.impersonator,
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: { durationSeconds: Math.round((Date.now() - req.session.createdAt.getTime()) / 1000) }
+    });
+
+    res.json({
+      message: 'Impersonation ended',
+      message_it: 'Impersonificazione terminata'
+    });
+
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({
+      error: 'Failed to stop impersonation',
+      message: 'Impossibile terminare l\'impersonificazione'
+    });
+  }
+});
+
+// View the app as another user: issues a short-lived token with no refresh token (admin only)
+router.post('/impersonate/:userId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'A reason is required',
+        message: 'È necessario indicare un motivo'
+      });
+    }
+
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select('-password') : null;
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'Utente non trovato'
+      });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(403).json({
+        error: 'Administrators cannot be impersonated',
+        message: 'Non è possibile impersonificare un amministratore'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(400).json({
+        error: 'Account not active',
+        message: 'Account non attivo'
+      });
+    }
+
+    const { session, token, expiresIn, expiresAt } = await createImpersonationSession(req.user, user, req, { reason });
+
+    await recordAudit(req, {
+      action: 'impersonation.start',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { reason, impersonationSessionId: session._id, expiresAt }
+    });
+
+    res.json({
+      message: 'Impersonation started',
+      message_it: 'Impersonificazione avviata',
+      token,
+      expiresIn,
+      expiresAt,
+      impersonation: {
+        impersonatorId: req.user._id,
+        reason,
+        user: {
+          id: user._id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          role: user.role
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({
+      error: 'Failed to start impersonation',
+      message: 'Impossibile avviare l\'impersonificazione'
+    });
+  }
+});
+
+// Verify email address with the emailed token
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+
+    await recordAudit(req, {
+      action: 'auth.email_verify',
+      actor: user,
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { email: user.email }
+    });
+
+    res.json({
+      message: 'Email verified successfully',
+      message_it: 'Email verificata con successo',
+      emailVerified: user.emailVerified
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Failed to verify email',
+      message: 'Impossibile verificare l\'email'
+    });
+  }
+});
+
+// Resend the verification email: for the logged-in user, or by email address
+// (anonymous requests always get the same answer, so they don't reveal accounts)
+router.post('/resend-verification', optionalAuth, async (req, res) => {
+  try {
+    if (req.user) {
+      await sendVerificationEmail(req.user, { throttle: true });
+    } else {
+      const user = req.body.email ? await User.findByEmail(req.body.email) : null;
+      if (user && !user.emailVerified) {
+        await sendVerificationEmail(user, { throttle: true }).catch(error => {
+          if (error.name !== 'ApiError') throw error;
+        });
+      }
+    }
+
+    res.json({
+      message: 'If the account exists and is not verified, a verification email has been sent',
+      message_it: 'Se l\'account esiste e non è verificato, è stata inviata un\'email di verifica'
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification email',
+      message: 'Impossibile inviare l\'email di verifica'
+    });
+  }
+});
+
+// Send a verification code to my phone; `phone` optionally sets a new number first
+router.post('/phone/send-code', authenticateToken, forbidWhileImpersonating, async (req, res) => {
+  try {
+    let user = req.user;
+
+    if (req.body.phone !== undefined) {
+      const update = { phone: req.body.phone };
+      normalizePhoneField(update);
+      if (!update.phone) {
+        return res.status(400).json({
+          error: 'Phone number required',
+          message: 'Numero di telefono richiesto'
+        });
+      }
+      if (update.phone !== user.phone) {
+        const before = user;
+        user = await User.findByIdAndUpdate(
+          user._id,
+          { phone: update.phone, phoneVerified: false, phoneVerifiedAt: null },
+          { new: true }
+        ).select('-password');
+
+        await recordAudit(req, { action: 'user.update', targetType: 'User', targetId: user._id, before, after: user });
+      }
+    }
+
+    const { expiresAt } = await sendPhoneOtp(user);
+
+    res.json({
+      message: 'Verification code sent',
+      message_it: 'Codice di verifica inviato',
+      phone: user.phone,
+      expiresAt
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Send phone code error:', error);
+    res.status(500).json({
+      error: 'Failed to send verification code',
+      message: 'Impossibile inviare il codice di verifica'
+    });
+  }
+});
+
+// Verify my phone with the received code
+router.post('/phone/verify', authenticateToken, forbidWhileImpersonating, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Code required',
+        message: 'Codice richiesto'
+      });
+    }
+
+    const user = await verifyPhoneOtp(req.user, code);
+
+    await recordAudit(req, {
+      action: 'auth.phone_verify',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { phone: user.phone }
+    });
+
+    res.json({
+      message: 'Phone verified successfully',
+      message_it: 'Telefono verificato con successo',
+      phone: user.phone,
+      phoneVerified: user.phoneVerified
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      error: 'Failed to verify phone',
+      message: 'Impossibile verificare il telefono'
+    });
+  }
+});
+
 // Forgot password
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -255,31 +1082,23 @@ router.post('/forgot-password', async (req, res) => {
       });
     }
 
-    const user = await User.findByEmail(email);
-    if (!user) {
-      // Don't reveal if user exists or not for security
-      return res.json({
-        message: 'If the email exists, a reset link has been sent',
-        message_it: 'Se l\'email esiste, è stato inviato un link di reset'
-      });
-    }
+    // Every request counts towards the limits, whether or not the account exists
+    const attempt = await reserveAttempt('forgot_password', { email, ip: req.ip });
+    await registerFailure(attempt);
 
-    // Generate reset token (in a real app, you'd send this via email)
-    const resetToken = jwt.sign(
-      { userId: user._id, type: 'password-reset' },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '1h' }
-    );
+    // Same answer whether or not the account exists
+    await requestPasswordReset(email);
 
-    // TODO: Send email with reset link
-    // For now, just return the token (in production, send via email)
     res.json({
-      message: 'Password reset link sent',
-      message_it: 'Link di reset password inviato',
-      resetToken // Remove this in production
+      message: 'If the email exists, a reset link has been sent',
+      message_it: 'Se l\'email esiste, è stato inviato un link di reset'
     });
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Forgot password error:', error);
     res.status(500).json({
       error: 'Failed to process request',
@@ -300,27 +1119,12 @@ router.post('/reset-password', async (req, res) => {
       });
     }
 
-    // Verify reset token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    
-    if (decoded.type !== 'password-reset') {
-      return res.status(400).json({
-        error: 'Invalid token type',
-        message: 'Tipo di token non valido'
-      });
-    }
+    const user = await resetPassword(token, newPassword);
 
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(400).json({
-        error: 'Invalid token',
-        message: 'Token non valido'
-      });
-    }
+    await recordAudit(req, { action: 'auth.password_reset', actor: user, targetType: 'User', targetId: user._id });
 
-    // Update password
-    user.password = newPassword;
-    await user.save();
+    // The owner proved control of the mailbox: lift any login lockout on the account
+    await clearFailures('login', { email: user.email });
 
     res.json({
       message: 'Password reset successful',
@@ -328,13 +1132,10 @@ router.post('/reset-password', async (req, res) => {
     });
 
   } catch (error) {
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(400).json({
-        error: 'Invalid or expired token',
-        message: 'Token non valido o scaduto'
-      });
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
     }
-    
+
     console.error('Reset password error:', error);
     res.status(500).json({
       error: 'Failed to reset password',
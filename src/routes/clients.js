@@ -1,63 +1,51 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Voucher = require('../models/Voucher');
+const loyalty = require('../config/loyalty');
+const { authenticateToken, authorizeRoles, forbidWhileImpersonating } = require('../utils/auth');
+const { createOrder } = require('../utils/orders');
+const { issueInvoice, renderInvoice } = require('../utils/invoices');
+const { sendPdf } = require('../utils/pdf');
+const { runInTransaction } = require('../utils/db');
+const { getPointsSummary, getTier, expireUserPoints, redeemPoints } = require('../utils/loyalty');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
+const PRODUCT_SORT_FIELDS = ['name', 'price', 'category', 'createdAt'];
+
 // Get client's purchase history
 router.get('/purchases', authenticateToken, authorizeRoles('client'), async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, status } = req.query;
     const skip = (page - 1) * limit;
 
-    // Simplified purchase history (in a real app, this would come from a separate collection)
-    const purchaseHistory = [
-      {
-        id: 1,
-        date: '2024-06-15',
-        product: 'Prodotto Premium A',
-        amount: 199,
-        status: 'completed',
-        orderNumber: 'ORD-001'
-      },
-      {
-        id: 2,
-        date: '2024-06-10',
-        product: 'Prodotto Standard B',
-        amount: 99,
-        status: 'completed',
-        orderNumber: 'ORD-002'
-      },
-      {
-        id: 3,
-        date: '2024-06-05',
-        product: 'Prodotto Base C',
-        amount: 49,
-        status: 'completed',
-        orderNumber: 'ORD-003'
-      },
-      {
-        id: 4,
-        date: '2024-05-28',
-        product: 'Prodotto Premium D',
-        amount: 299,
-        status: 'completed',
-        orderNumber: 'ORD-004'
-      },
-      {
-        id: 5,
-        date: '2024-05-20',
-        product: 'Prodotto Standard E',
-        amount: 149,
-        status: 'completed',
-        orderNumber: 'ORD-005'
-      }
-    ];
+    const filter = { userId: req.user._id };
+    if (status) filter.status = status;
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
 
-    const total = purchaseHistory.length;
-    const paginatedHistory = purchaseHistory.slice(skip, skip + parseInt(limit));
+    const total = await Order.countDocuments(filter);
+
+    const purchaseHistory = orders.map(order => ({
+      id: order._id,
+      date: order.createdAt,
+      product: order.items.map(item => item.name).join(', '),
+      items: order.items,
+      amount: order.total,
+      status: order.status,
+      orderNumber: order.orderNumber
+    }));
 
     res.json({
-      purchases: paginatedHistory,
+      purchases: purchaseHistory,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -78,45 +66,47 @@ router.get('/purchases', authenticateToken, authorizeRoles('client'), async (req
 // Get client's loyalty points
 router.get('/loyalty', authenticateToken, authorizeRoles('client'), async (req, res) => {
   try {
-    const user = await User.findById(req.user._id);
-    
-    // Calculate loyalty points (simplified)
-    const totalPoints = Math.floor(user.totalPurchases * 0.1);
-    const availablePoints = totalPoints - (user.redeemedPoints || 0);
-    
-    // Get loyalty history
-    const loyaltyHistory = [
-      {
-        id: 1,
-        date: '2024-06-15',
-        type: 'earned',
-        points: 20,
-        description: 'Acquisto Prodotto Premium A'
-      },
-      {
-        id: 2,
-        date: '2024-06-10',
-        type: 'earned',
-        points: 10,
-        description: 'Acquisto Prodotto Standard B'
-      },
-      {
-        id: 3,
-        date: '2024-06-01',
-        type: 'redeemed',
-        points: -50,
-        description: 'Sconto 10€ su ordine'
-      }
-    ];
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Write off expired points before reporting the balance
+    await expireUserPoints(req.user._id);
+
+    const summary = await getPointsSummary(req.user._id);
+    const tier = await getTier(req.user._id);
+
+    const entries = await LoyaltyTransaction.find({ userId: req.user._id })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await LoyaltyTransaction.countDocuments({ userId: req.user._id });
+
+    const history = entries.map(entry => ({
+      id: entry._id,
+      date: entry.createdAt,
+      type: entry.type,
+      points: entry.points,
+      description: entry.description,
+      expiresAt: entry.expiresAt
+    }));
 
     res.json({
       summary: {
-        totalPoints,
-        availablePoints,
-        redeemedPoints: user.redeemedPoints || 0,
-        tier: availablePoints >= 100 ? 'Gold' : availablePoints >= 50 ? 'Silver' : 'Bronze'
+        ...summary,
+        tier: tier.tier,
+        tierPoints: tier.points,
+        nextTier: tier.nextTier,
+        pointValue: loyalty.pointValue,
+        minRedeemPoints: loyalty.minRedeemPoints
       },
-      history: loyaltyHistory
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
 
   } catch (error) {
@@ -128,52 +118,72 @@ router.get('/loyalty', authenticateToken, authorizeRoles('client'), async (req,
   }
 });
 
+// Redeem loyalty points for a discount voucher
+router.post('/loyalty/redeem', authenticateToken, forbidWhileImpersonating, authorizeRoles('client'), async (req, res) => {
+  try {
+    const voucher = await redeemPoints(req.user._id, req.body.points);
+
+    await recordAudit(req, {
+      action: 'loyalty.redeem',
+      targetType: 'Voucher',
+      targetId: voucher._id,
+      metadata: { pointsRedeemed: voucher.pointsRedeemed, amount: voucher.amount, code: voucher.code }
+    });
+
+    res.status(201).json({
+      message: 'Points redeemed successfully',
+      message_it: 'Punti convertiti con successo',
+      voucher
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Redeem points error:', error);
+    res.status(500).json({
+      error: 'Failed to redeem points',
+      message: 'Impossibile convertire i punti'
+    });
+  }
+});
+
+// Get client's vouchers
+router.get('/vouchers', authenticateToken, authorizeRoles('client'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = { userId: req.user._id };
+    if (status) filter.status = status;
+
+    const vouchers = await Voucher.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      vouchers: vouchers.map(voucher => ({
+        ...voucher.toObject(),
+        usable: voucher.isUsable()
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get vouchers error:', error);
+    res.status(500).json({
+      error: 'Failed to get vouchers',
+      message: 'Impossibile ottenere i buoni sconto'
+    });
+  }
+});
+
 // Get client's recommendations
 router.get('/recommendations', authenticateToken, authorizeRoles('client'), async (req, res) => {
   try {
-    // Simplified product recommendations based on purchase history
-    const recommendations = [
-      {
-        id: 1,
-        name: 'Prodotto Premium A',
-        price: 199,
-        category: 'Premium',
-        description: 'Prodotto di alta qualità per clienti esigenti',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.8,
-        reviews: 125
-      },
-      {
-        id: 2,
-        name: 'Prodotto Standard B',
-        price: 99,
-        category: 'Standard',
-        description: 'Prodotto di qualità media per uso quotidiano',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.5,
-        reviews: 89
-      },
-      {
-        id: 3,
-        name: 'Prodotto Base C',
-        price: 49,
-        category: 'Base',
-        description: 'Prodotto essenziale per iniziare',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.2,
-        reviews: 67
-      },
-      {
-        id: 4,
-        name: 'Prodotto Premium D',
-        price: 299,
-        category: 'Premium',
-        description: 'Prodotto esclusivo per veri appassionati',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.9,
-        reviews: 45
-      }
-    ];
+    // Latest in-stock products from the active catalog
+    const products = await Product.findActive({ stock: { $gt: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(4);
+
+    const recommendations = products.map(p => p.toCatalogItem(req.user.language));
 
     res.json({
       recommendations,
@@ -238,6 +248,14 @@ router.put('/preferences', authenticateToken, authorizeRoles('client'), async (r
       { new: true }
     ).select('-password');
 
+    await recordAudit(req, {
+      action: 'user.preferences_update',
+      targetType: 'User',
+      targetId: user._id,
+      before: req.user,
+      after: user
+    });
+
     res.json({
       message: 'Preferences updated successfully',
       message_it: 'Preferenze aggiornate con successo',
@@ -258,29 +276,57 @@ router.get('/stats', authenticateToken, authorizeRoles('client'), async (req, re
   try {
     const user = await User.findById(req.user._id);
 
-    // Calculate statistics
+    // Calculate statistics from purchased orders
+    const orderStats = await Order.aggregate([
+      { $match: { userId: user._id, status: { $in: Order.PURCHASED_STATUSES } } },
+      {
+        $group: {
+          _id: null,
+          totalOrders: { $sum: 1 },
+          averageOrder: { $avg: '$total' }
+        }
+      }
+    ]);
+
     const totalSpent = user.totalPurchases || 0;
-    const averageOrder = totalSpent > 0 ? (totalSpent / 5).toFixed(2) : 0; // Assuming 5 orders
+    const totalOrders = orderStats[0]?.totalOrders || 0;
+    const averageOrder = totalOrders > 0 ? orderStats[0].averageOrder.toFixed(2) : 0;
     const memberSince = user.createdAt;
     const daysAsMember = Math.floor((new Date() - new Date(memberSince)) / (1000 * 60 * 60 * 24));
 
-    // Get monthly spending (simplified)
-    const monthlySpending = [
-      { month: 'Gen', amount: 150 },
-      { month: 'Feb', amount: 200 },
-      { month: 'Mar', amount: 100 },
-      { month: 'Apr', amount: 300 },
-      { month: 'Mag', amount: 250 },
-      { month: 'Giu', amount: 180 }
-    ];
+    // Get monthly spending for the last six months
+    const since = new Date();
+    since.setMonth(since.getMonth() - 5, 1);
+    since.setHours(0, 0, 0, 0);
+
+    const monthlySpending = await Order.aggregate([
+      {
+        $match: {
+          userId: user._id,
+          status: { $in: Order.PURCHASED_STATUSES },
+          paidAt: { $gte: since }
+        }
+      },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$paidAt' },
+            month: { $month: '$paidAt' }
+          },
+          amount: { $sum: '$total' },
+          orders: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': 1, '_id.month': 1 } }
+    ]);
 
     const stats = {
       summary: {
         totalSpent,
         averageOrder,
-        totalOrders: 5, // Simplified
+        totalOrders,
         daysAsMember,
-        loyaltyTier: totalSpent >= 1000 ? 'Gold' : totalSpent >= 500 ? 'Silver' : 'Bronze'
+        loyaltyTier: (await getTier(req.user._id)).tier
       },
       monthlySpending
     };
@@ -296,96 +342,117 @@ router.get('/stats', authenticateToken, authorizeRoles('client'), async (req, re
   }
 });
 
-// Get available products
-router.get('/products', authenticateToken, authorizeRoles('client'), async (req, res) => {
+// Checkout: create a pending order from catalog items
+router.post('/checkout', authenticateToken, forbidWhileImpersonating, authorizeRoles('client', 'ambassador'), async (req, res) => {
   try {
-    const { category, sortBy = 'name', sortOrder = 'asc' } = req.query;
+    const { items, shippingAddress, notes, voucherCode } = req.body;
 
-    // Simplified product catalog
-    const products = [
-      {
-        id: 1,
-        name: 'Prodotto Premium A',
-        price: 199,
-        category: 'Premium',
-        description: 'Prodotto di alta qualità per clienti esigenti',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.8,
-        reviews: 125,
-        inStock: true
-      },
-      {
-        id: 2,
-        name: 'Prodotto Standard B',
-        price: 99,
-        category: 'Standard',
-        description: 'Prodotto di qualità media per uso quotidiano',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.5,
-        reviews: 89,
-        inStock: true
-      },
-      {
-        id: 3,
-        name: 'Prodotto Base C',
-        price: 49,
-        category: 'Base',
-        description: 'Prodotto essenziale per iniziare',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.2,
-        reviews: 67,
-        inStock: true
-      },
-      {
-        id: 4,
-        name: 'Prodotto Premium D',
-        price: 299,
-        category: 'Premium',
-        description: 'Prodotto esclusivo per veri appassionati',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.9,
-        reviews: 45,
-        inStock: false
-      },
-      {
-        id: 5,
-        name: 'Prodotto Standard E',
-        price: 149,
-        category: 'Standard',
-        description: 'Prodotto versatile per diverse esigenze',
-        image: 'https://via.placeholder.com/300x200',
-        rating: 4.3,
-        reviews: 78,
-        inStock: true
-      }
-    ];
+    const order = await createOrder(req.user, items, { shippingAddress, notes, voucherCode });
+
+    await recordAudit(req, {
+      action: 'order.create',
+      targetType: 'Order',
+      targetId: order._id,
+      metadata: { orderNumber: order.orderNumber, total: order.total, voucherCode: order.voucherCode }
+    });
 
-    // Filter by category if specified
-    let filteredProducts = products;
-    if (category) {
-      filteredProducts = products.filter(p => p.category === category);
+    res.status(201).json({
+      message: 'Order created successfully',
+      message_it: 'Ordine creato con successo',
+      order
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
     }
 
-    // Sort products
-    filteredProducts.sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-      
-      if (sortBy === 'price') {
-        aValue = parseFloat(aValue);
-        bValue = parseFloat(bValue);
-      }
-      
-      if (sortOrder === 'desc') {
-        return bValue > aValue ? 1 : -1;
+    console.error('Checkout error:', error);
+    res.status(500).json({
+      error: 'Checkout failed',
+      message: 'Impossibile completare l\'ordine'
+    });
+  }
+});
+
+// Download the invoice/receipt of one of my orders
+router.get('/orders/:orderId/invoice', authenticateToken, authorizeRoles('client', 'ambassador'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const order = mongoose.isValidObjectId(orderId)
+      ? await Order.findOne({ _id: orderId, userId: req.user._id })
+      : null;
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'Ordine non trovato'
+      });
+    }
+
+    let invoice = await Invoice.findOne({ orderId: order._id });
+    if (!invoice) {
+      if (!order.isPurchased()) {
+        return res.status(400).json({
+          error: 'Order has not been paid',
+          message: 'Ordine non ancora pagato'
+        });
       }
-      return aValue > bValue ? 1 : -1;
+      // Concurrent downloads conflict on the invoice counter; the retry returns the issued invoice
+      invoice = await runInTransaction(session => issueInvoice(order, { session }));
+    }
+
+    const pdf = await renderInvoice(invoice);
+    sendPdf(res, pdf, `invoice-${invoice.invoiceNumber.replace('/', '-')}.pdf`);
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to generate invoice',
+      message: 'Impossibile generare la fattura'
     });
+  }
+});
+
+// Get available products
+router.get('/products', authenticateToken, authorizeRoles('client'), async (req, res) => {
+  try {
+    const {
+      category,
+      sortBy = 'name',
+      sortOrder = 'asc',
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = { active: true };
+    if (category) filter.category = category;
+
+    // Only allow sorting on catalog fields
+    const sortField = PRODUCT_SORT_FIELDS.includes(sortBy) ? sortBy : 'name';
+    const sort = {};
+    sort[sortField] = sortOrder === 'desc' ? -1 : 1;
+
+    const skip = (page - 1) * limit;
+
+    const products = await Product.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Product.countDocuments(filter);
+    const categories = await Product.distinct('category', { active: true });
 
     res.json({
-      products: filteredProducts,
-      categories: ['Premium', 'Standard', 'Base'],
-      total: filteredProducts.length
+      products: products.map(p => p.toCatalogItem(req.user.language)),
+      categories: categories.sort(),
+      total,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,137 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Commission = require('../models/Commission');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { createManualEntry, syncTotalEarnings } = require('../utils/commissions');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// List commission ledger entries (admin only)
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const {
+      beneficiaryId,
+      orderId,
+      type,
+      from,
+      to,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const filter = {};
+    if (beneficiaryId && mongoose.isValidObjectId(beneficiaryId)) filter.beneficiaryId = beneficiaryId;
+    if (orderId && mongoose.isValidObjectId(orderId)) filter.orderId = orderId;
+    if (type) filter.type = type;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await Commission.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('beneficiaryId', 'firstName lastName email ambassadorCode')
+      .populate('sourceUserId', 'firstName lastName email');
+
+    const total = await Commission.countDocuments(filter);
+
+    res.json({
+      entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List commissions error:', error);
+    res.status(500).json({
+      error: 'Failed to list commissions',
+      message: 'Impossibile ottenere le commissioni'
+    });
+  }
+});
+
+// Record a manual bonus or adjustment (admin only)
+router.post('/entries', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { beneficiaryId, type, amount, description } = req.body;
+
+    const entry = await createManualEntry({
+      beneficiaryId,
+      type,
+      amount,
+      description,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'commission.entry_create',
+      targetType: 'Commission',
+      targetId: entry._id,
+      metadata: { beneficiaryId: entry.beneficiaryId, type: entry.type, amount: entry.amount, description: entry.description }
+    });
+
+    res.status(201).json({
+      message: 'Commission entry recorded successfully',
+      message_it: 'Movimento commissioni registrato con successo',
+      entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Create commission entry error:', error);
+    res.status(500).json({
+      error: 'Failed to record commission entry',
+      message: 'Impossibile registrare il movimento commissioni'
+    });
+  }
+});
+
+// Recompute a user's totalEarnings from the ledger (admin only)
+router.post('/sync/:userId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        error: 'Invalid user id',
+        message: 'ID utente non valido'
+      });
+    }
+
+    const totalEarnings = await syncTotalEarnings(userId);
+
+    await recordAudit(req, {
+      action: 'commission.sync',
+      targetType: 'User',
+      targetId: userId,
+      metadata: { totalEarnings }
+    });
+
+    res.json({
+      message: 'Earnings synchronized successfully',
+      message_it: 'Guadagni sincronizzati con successo',
+      totalEarnings
+    });
+
+  } catch (error) {
+    console.error('Sync earnings error:', error);
+    res.status(500).json({
+      error: 'Failed to synchronize earnings',
+      message: 'Impossibile sincronizzare i guadagni'
+    });
+  }
+});
+
+module.exports = router;
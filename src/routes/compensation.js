@@ -0,0 +1,377 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const CompensationPlan = require('../models/CompensationPlan');
+const Order = require('../models/Order');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { validatePlanDefinition, evaluateOrder, simulatePlan } = require('../utils/compensation');
+const { runInTransaction } = require('../utils/db');
+const { roundCurrency } = require('../utils/money');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Load a plan by id from the route, answering 404 when missing
+const findPlan = async (req, res) => {
+  const { planId } = req.params;
+  const plan = mongoose.isValidObjectId(planId) ? await CompensationPlan.findById(planId) : null;
+
+  if (!plan) {
+    res.status(404).json({
+      error: 'Plan not found',
+      message: 'Piano compensi non trovato'
+    });
+  }
+
+  return plan;
+};
+
+// List plan versions (admin only)
+router.get('/plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const plans = await CompensationPlan.find(filter)
+      .sort({ version: -1 })
+      .populate('createdBy', 'firstName lastName email')
+      .populate('activatedBy', 'firstName lastName email');
+
+    res.json({ plans });
+
+  } catch (error) {
+    console.error('List plans error:', error);
+    res.status(500).json({
+      error: 'Failed to list plans',
+      message: 'Impossibile ottenere i piani compensi'
+    });
+  }
+});
+
+// Get the active plan (admin only)
+router.get('/plans/active', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await CompensationPlan.getActive();
+
+    res.json({
+      plan,
+      fallback: plan ? null : 'flat_commission_rate'
+    });
+
+  } catch (error) {
+    console.error('Get active plan error:', error);
+    res.status(500).json({
+      error: 'Failed to get active plan',
+      message: 'Impossibile ottenere il piano attivo'
+    });
+  }
+});
+
+// Get a plan version (admin only)
+router.get('/plans/:planId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    res.json({ plan });
+
+  } catch (error) {
+    console.error('Get plan error:', error);
+    res.status(500).json({
+      error: 'Failed to get plan',
+      message: 'Impossibile ottenere il piano compensi'
+    });
+  }
+});
+
+// Draft a new plan version, optionally cloned from an existing one (admin only)
+router.post('/plans', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { name, description, cloneFrom } = req.body;
+    let { definition } = req.body;
+
+    if (cloneFrom) {
+      const source = mongoose.isValidObjectId(cloneFrom) ? await CompensationPlan.findById(cloneFrom) : null;
+      if (!source) {
+        return res.status(404).json({
+          error: 'Plan not found',
+          message: 'Piano compensi non trovato'
+        });
+      }
+      definition = definition || source.definition.toObject();
+    }
+
+    if (!name || !definition) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Campi obbligatori mancanti'
+      });
+    }
+
+    const plan = new CompensationPlan({
+      version: await CompensationPlan.nextVersion(),
+      name,
+      description,
+      definition,
+      status: 'draft',
+      createdBy: req.user._id
+    });
+    await plan.save();
+
+    await recordAudit(req, {
+      action: 'compensation_plan.create',
+      targetType: 'CompensationPlan',
+      targetId: plan._id,
+      after: plan,
+      metadata: { cloneFrom }
+    });
+
+    res.status(201).json({
+      message: 'Plan draft created successfully',
+      message_it: 'Bozza piano compensi creata con successo',
+      plan,
+      validationErrors: validatePlanDefinition(plan.definition.toObject())
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid plan data',
+        message: 'Dati piano compensi non validi'
+      });
+    }
+
+    console.error('Create plan error:', error);
+    res.status(500).json({
+      error: 'Failed to create plan',
+      message: 'Impossibile creare il piano compensi'
+    });
+  }
+});
+
+// Update a draft plan (admin only)
+router.put('/plans/:planId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Only draft plans can be edited',
+        message: 'Solo le bozze possono essere modificate'
+      });
+    }
+
+    const before = plan.toObject();
+    const { name, description, definition } = req.body;
+    if (name !== undefined) plan.name = name;
+    if (description !== undefined) plan.description = description;
+    if (definition !== undefined) plan.definition = definition;
+    await plan.save();
+
+    await recordAudit(req, {
+      action: 'compensation_plan.update',
+      targetType: 'CompensationPlan',
+      targetId: plan._id,
+      before,
+      after: plan
+    });
+
+    res.json({
+      message: 'Plan updated successfully',
+      message_it: 'Piano compensi aggiornato con successo',
+      plan,
+      validationErrors: validatePlanDefinition(plan.definition.toObject())
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid plan data',
+        message: 'Dati piano compensi non validi'
+      });
+    }
+
+    console.error('Update plan error:', error);
+    res.status(500).json({
+      error: 'Failed to update plan',
+      message: 'Impossibile aggiornare il piano compensi'
+    });
+  }
+});
+
+// Validate a plan definition (admin only)
+router.post('/plans/:planId/validate', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    const errors = validatePlanDefinition(plan.definition.toObject());
+
+    res.json({
+      valid: errors.length === 0,
+      errors
+    });
+
+  } catch (error) {
+    console.error('Validate plan error:', error);
+    res.status(500).json({
+      error: 'Failed to validate plan',
+      message: 'Impossibile validare il piano compensi'
+    });
+  }
+});
+
+// Activate a draft plan, retiring the currently active one (admin only)
+router.post('/plans/:planId/activate', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    if (plan.status !== 'draft') {
+      return res.status(400).json({
+        error: 'Only draft plans can be activated',
+        message: 'Solo le bozze possono essere attivate'
+      });
+    }
+
+    const errors = validatePlanDefinition(plan.definition.toObject());
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Plan definition is invalid',
+        message: 'Definizione del piano non valida',
+        errors
+      });
+    }
+
+    const activated = await runInTransaction(async (session) => {
+      const now = new Date();
+
+      await CompensationPlan.updateMany(
+        { status: 'active' },
+        { status: 'retired', retiredAt: now },
+        { session }
+      );
+
+      return CompensationPlan.findOneAndUpdate(
+        { _id: plan._id, status: 'draft' },
+        { status: 'active', activatedAt: now, activatedBy: req.user._id },
+        { new: true, session }
+      );
+    });
+
+    await recordAudit(req, {
+      action: 'compensation_plan.activate',
+      targetType: 'CompensationPlan',
+      targetId: plan._id,
+      before: { status: plan.status },
+      after: { status: activated ? activated.status : plan.status },
+      metadata: { version: plan.version }
+    });
+
+    res.json({
+      message: 'Plan activated successfully',
+      message_it: 'Piano compensi attivato con successo',
+      plan: activated
+    });
+
+  } catch (error) {
+    console.error('Activate plan error:', error);
+    res.status(500).json({
+      error: 'Failed to activate plan',
+      message: 'Impossibile attivare il piano compensi'
+    });
+  }
+});
+
+// Preview the payouts of an order under a plan without recording them (admin only)
+router.post('/plans/:planId/evaluate', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const plan = await findPlan(req, res);
+    if (!plan) return;
+
+    const { orderId } = req.body;
+    const order = mongoose.isValidObjectId(orderId) ? await Order.findById(orderId) : null;
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'Ordine non trovato'
+      });
+    }
+
+    const { payouts } = await evaluateOrder(order, { plan });
+
+    res.json({
+      order: {
+        id: order._id,
+        orderNumber: order.orderNumber,
+        total: order.total
+      },
+      plan: {
+        id: plan._id,
+        version: plan.version,
+        name: plan.name
+      },
+      payouts,
+      totalPayout: roundCurrency(payouts.reduce((sum, p) => sum + p.amount, 0))
+    });
+
+  } catch (error) {
+    console.error('Evaluate plan error:', error);
+    res.status(500).json({
+      error: 'Failed to evaluate plan',
+      message: 'Impossibile valutare il piano compensi'
+    });
+  }
+});
+
+// Simulate a candidate plan over historical purchases against flat commission rates (admin only)
+router.post('/simulate', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { definition, from, to } = req.body;
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (!from || !to || isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+      return res.status(400).json({
+        error: 'Valid from and to dates required',
+        message: 'Date di inizio e fine valide richieste'
+      });
+    }
+
+    // Normalize through the schema so defaults match a stored plan
+    const candidate = new CompensationPlan({ version: 0, name: 'simulation', definition });
+    const schemaError = candidate.validateSync();
+    const validationErrors = [
+      ...validatePlanDefinition(definition),
+      ...(schemaError ? Object.values(schemaError.errors).map(e => e.message) : [])
+    ];
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        error: 'Plan definition is invalid',
+        message: 'Definizione del piano non valida',
+        errors: validationErrors
+      });
+    }
+
+    const simulation = await simulatePlan(candidate.definition.toObject(), { from: fromDate, to: toDate });
+
+    res.json({
+      baseline: 'flat_commission_rate',
+      ...simulation
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Simulate plan error:', error);
+    res.status(500).json({
+      error: 'Failed to simulate plan',
+      message: 'Impossibile simulare il piano compensi'
+    });
+  }
+});
+
+module.exports = router;
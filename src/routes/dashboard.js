@@ -1,6 +1,13 @@
 const express = require('express');
 const User = require('../models/User');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
 const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { getPointsSummary } = require('../utils/loyalty');
+const { getRankStatus } = require('../utils/ranks');
+const { resolveRange, getUserTimezone } = require('../utils/dates');
+const { getEarningsSeries } = require('../utils/commissions');
+const { getGrowthAnalytics } = require('../utils/analytics');
 const router = express.Router();
 
 // Get dashboard data for current user
@@ -52,35 +59,39 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Add role-specific data
     if (user.role === 'ambassador') {
-      // Get monthly earnings trend (simplified)
-      const monthlyEarnings = [
-        { month: 'Gen', earnings: Math.floor(Math.random() * 1000) },
-        { month: 'Feb', earnings: Math.floor(Math.random() * 1000) },
-        { month: 'Mar', earnings: Math.floor(Math.random() * 1000) },
-        { month: 'Apr', earnings: Math.floor(Math.random() * 1000) },
-        { month: 'Mag', earnings: Math.floor(Math.random() * 1000) },
-        { month: 'Giu', earnings: Math.floor(Math.random() * 1000) }
-      ];
+      // Get monthly earnings trend for the last six months in the user's timezone
+      const range = resolveRange({ period: 'month', timezone: getUserTimezone(user), count: 6 });
+      const monthlyEarnings = await getEarningsSeries(user._id, range);
+
+      const rankStatus = await getRankStatus(user);
 
       dashboardData.ambassadorStats = {
         monthlyEarnings,
         averageCommission: (user.commissionRate * 100).toFixed(1) + '%',
-        rank: user.level === 0 ? 'Diretto' : `Livello ${user.level}`
+        rank: rankStatus.current ? rankStatus.current.name : null
       };
     }
 
     if (user.role === 'client') {
-      // Get purchase history (simplified)
-      const purchaseHistory = [
-        { date: '2024-01-15', amount: 150, product: 'Prodotto A' },
-        { date: '2024-02-20', amount: 200, product: 'Prodotto B' },
-        { date: '2024-03-10', amount: 100, product: 'Prodotto C' }
-      ];
+      // Get recent purchase history
+      const orders = await Order.find({ userId: user._id, status: { $in: Order.PURCHASED_STATUSES } })
+        .sort({ createdAt: -1 })
+        .limit(5);
+
+      const purchaseHistory = orders.map(order => ({
+        date: order.createdAt,
+        amount: order.total,
+        product: order.items.map(item => item.name).join(', '),
+        orderNumber: order.orderNumber
+      }));
+
+      const totalOrders = await Order.countDocuments({ userId: user._id, status: { $in: Order.PURCHASED_STATUSES } });
 
       dashboardData.clientStats = {
         purchaseHistory,
         totalSpent: user.totalPurchases,
-        averageOrder: user.totalPurchases > 0 ? (user.totalPurchases / purchaseHistory.length).toFixed(2) : 0
+        totalOrders,
+        averageOrder: totalOrders > 0 ? (user.totalPurchases / totalOrders).toFixed(2) : 0
       };
     }
 
@@ -95,7 +106,7 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get admin dashboard (admin only)
+// Get admin dashboard (admin only), with growth series for ?period=&from=&to=&timezone=
 router.get('/admin', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
     // Get overall statistics
@@ -140,15 +151,14 @@ router.get('/admin', authenticateToken, authorizeRoles('admin'), async (req, res
       .limit(5)
       .select('firstName lastName email totalPurchases');
 
-    // Get monthly growth (simplified)
-    const monthlyGrowth = [
-      { month: 'Gen', users: 45, ambassadors: 12, clients: 33 },
-      { month: 'Feb', users: 52, ambassadors: 15, clients: 37 },
-      { month: 'Mar', users: 61, ambassadors: 18, clients: 43 },
-      { month: 'Apr', users: 68, ambassadors: 22, clients: 46 },
-      { month: 'Mag', users: 75, ambassadors: 25, clients: 50 },
-      { month: 'Giu', users: 82, ambassadors: 28, clients: 54 }
-    ];
+    // Get registration, activation and churn series
+    const { period = 'month', from, to, timezone } = req.query;
+    const growth = await getGrowthAnalytics(resolveRange({
+      period,
+      from,
+      to,
+      timezone: timezone || getUserTimezone(req.user)
+    }));
 
     const adminDashboard = {
       stats: stats[0] || {
@@ -163,12 +173,16 @@ router.get('/admin', authenticateToken, authorizeRoles('admin'), async (req, res
       recentRegistrations,
       topAmbassadors,
       topClients,
-      monthlyGrowth
+      growth
     };
 
     res.json(adminDashboard);
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Admin dashboard error:', error);
     res.status(500).json({
       error: 'Failed to load admin dashboard',
@@ -233,7 +247,8 @@ router.get('/ambassador', authenticateToken, authorizeRoles('ambassador'), async
         totalDownlinePurchases: downlineStats.reduce((sum, s) => sum + s.totalPurchases, 0)
       },
       earningsByLevel,
-      recentRecruits
+      recentRecruits,
+      rank: await getRankStatus(user)
     };
 
     res.json(ambassadorDashboard);
@@ -253,15 +268,19 @@ router.get('/client', authenticateToken, authorizeRoles('client'), async (req, r
     const user = await User.findById(req.user._id)
       .populate('sponsorId', 'firstName lastName email ambassadorCode');
 
-    // Get purchase recommendations (simplified)
-    const recommendations = [
-      { id: 1, name: 'Prodotto Premium A', price: 199, category: 'Premium' },
-      { id: 2, name: 'Prodotto Standard B', price: 99, category: 'Standard' },
-      { id: 3, name: 'Prodotto Base C', price: 49, category: 'Base' }
-    ];
+    // Get purchase recommendations from the active catalog
+    const products = await Product.findActive({ stock: { $gt: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(3);
+
+    const recommendations = products.map(p => ({
+      id: p._id,
+      name: p.name,
+      price: p.price,
+      category: p.category
+    }));
 
-    // Get loyalty points (simplified)
-    const loyaltyPoints = Math.floor(user.totalPurchases * 0.1);
+    const { availablePoints: loyaltyPoints } = await getPointsSummary(user._id);
 
     const clientDashboard = {
       user: {
@@ -0,0 +1,185 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { createInvitation, resendInvitation, revokeInvitation } = require('../utils/invitations');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+const STATUS_FILTERS = {
+  pending: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } }),
+  accepted: () => ({ acceptedAt: { $ne: null } }),
+  revoked: () => ({ acceptedAt: null, revokedAt: { $ne: null } }),
+  expired: () => ({ acceptedAt: null, revokedAt: null, expiresAt: { $lte: new Date() } })
+};
+
+const serializeInvitation = (invitation) => ({
+  ...invitation.toObject(),
+  status: invitation.getStatus()
+});
+
+// Get invitations (admin only)
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status, email, page = 1, limit = 20 } = req.query;
+
+    if (status && !STATUS_FILTERS[status]) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        message: 'Stato non valido'
+      });
+    }
+
+    const filter = status ? STATUS_FILTERS[status]() : {};
+    if (email) filter.email = email.toLowerCase().trim();
+
+    const skip = (page - 1) * limit;
+
+    const invitations = await Invitation.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('invitedBy', 'firstName lastName email')
+      .populate('userId', 'firstName lastName email status');
+
+    const total = await Invitation.countDocuments(filter);
+
+    res.json({
+      invitations: invitations.map(serializeInvitation),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      error: 'Failed to get invitations',
+      message: 'Impossibile ottenere gli inviti'
+    });
+  }
+});
+
+// Invite a staff member by email (admin only)
+router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { email, role, firstName, lastName, language } = req.body;
+
+    const invitation = await createInvitation({ email, role, firstName, lastName, language }, req.user);
+
+    await recordAudit(req, {
+      action: 'invitation.create',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email, role: invitation.role }
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent successfully',
+      message_it: 'Invito inviato con successo',
+      invitation: serializeInvitation(invitation)
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid invitation data',
+        message: 'Dati invito non validi'
+      });
+    }
+
+    console.error('Create invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to send invitation',
+      message: 'Impossibile inviare l\'invito'
+    });
+  }
+});
+
+// Send an invitation again with a new link and expiry (admin only)
+router.post('/:invitationId/resend', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return res.status(400).json({
+        error: 'Invalid invitation id',
+        message: 'ID invito non valido'
+      });
+    }
+
+    const invitation = await resendInvitation(invitationId, req.user);
+
+    await recordAudit(req, {
+      action: 'invitation.resend',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email, expiresAt: invitation.expiresAt }
+    });
+
+    res.json({
+      message: 'Invitation sent successfully',
+      message_it: 'Invito inviato con successo',
+      invitation: serializeInvitation(invitation)
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Resend invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to send invitation',
+      message: 'Impossibile inviare l\'invito'
+    });
+  }
+});
+
+// Revoke a pending invitation (admin only)
+router.delete('/:invitationId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+
+    if (!mongoose.isValidObjectId(invitationId)) {
+      return res.status(400).json({
+        error: 'Invalid invitation id',
+        message: 'ID invito non valido'
+      });
+    }
+
+    const invitation = await revokeInvitation(invitationId, req.user._id);
+
+    await recordAudit(req, {
+      action: 'invitation.revoke',
+      targetType: 'Invitation',
+      targetId: invitation._id,
+      metadata: { email: invitation.email }
+    });
+
+    res.json({
+      message: 'Invitation revoked successfully',
+      message_it: 'Invito revocato con successo',
+      invitation: serializeInvitation(invitation)
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke invitation',
+      message: 'Impossibile revocare l\'invito'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,105 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const lockoutConfig = require('../config/lockout');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { listLockouts, clearLockouts } = require('../utils/lockout');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Get tracked failed attempts; only active lockouts unless all=true (admin only)
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { scope, type, identifier, all, page = 1, limit = 50 } = req.query;
+
+    if (scope && !lockoutConfig.scopes[scope]) {
+      return res.status(400).json({
+        error: 'Invalid scope',
+        message: 'Ambito non valido'
+      });
+    }
+
+    const { entries, total } = await listLockouts({
+      scope,
+      type,
+      identifier,
+      lockedOnly: all !== 'true',
+      skip: (page - 1) * limit,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      lockouts: entries,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      error: 'Failed to get lockouts',
+      message: 'Impossibile ottenere i blocchi'
+    });
+  }
+});
+
+// Clear failed attempts and lockouts of an account (email or userId) and/or IP (admin only)
+router.delete('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { scope, ip, userId } = req.query;
+    let { email } = req.query;
+
+    if (scope && !lockoutConfig.scopes[scope]) {
+      return res.status(400).json({
+        error: 'Invalid scope',
+        message: 'Ambito non valido'
+      });
+    }
+
+    if (userId) {
+      const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select('email') : null;
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'Utente non trovato'
+        });
+      }
+      email = user.email;
+    }
+
+    if (!email && !ip) {
+      return res.status(400).json({
+        error: 'Email, userId or ip required',
+        message: 'Email, userId o ip richiesti'
+      });
+    }
+
+    const cleared = await clearLockouts({ scope, email, ip });
+
+    await recordAudit(req, {
+      action: 'lockout.clear',
+      targetType: userId ? 'User' : undefined,
+      targetId: userId,
+      metadata: { scope, email, ip, cleared }
+    });
+
+    res.json({
+      message: 'Lockouts cleared successfully',
+      message_it: 'Blocchi rimossi con successo',
+      cleared
+    });
+
+  } catch (error) {
+    console.error('Clear lockouts error:', error);
+    res.status(500).json({
+      error: 'Failed to clear lockouts',
+      message: 'Impossibile rimuovere i blocchi'
+    });
+  }
+});
+
+module.exports = router;
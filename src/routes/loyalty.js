@@ -0,0 +1,128 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const Voucher = require('../models/Voucher');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const {
+  getPointsSummary,
+  getTier,
+  expireAllPoints,
+  adjustPoints
+} = require('../utils/loyalty');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Get a user's loyalty ledger, tier and vouchers (admin only)
+router.get('/users/:userId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        error: 'Invalid user id',
+        message: 'ID utente non valido'
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const entries = await LoyaltyTransaction.find({ userId })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('createdBy', 'firstName lastName email');
+
+    const total = await LoyaltyTransaction.countDocuments({ userId });
+    const vouchers = await Voucher.find({ userId }).sort({ createdAt: -1 });
+
+    res.json({
+      summary: await getPointsSummary(userId),
+      tier: await getTier(userId),
+      entries,
+      vouchers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user loyalty error:', error);
+    res.status(500).json({
+      error: 'Failed to get loyalty information',
+      message: 'Impossibile ottenere le informazioni fedeltà'
+    });
+  }
+});
+
+// Credit or debit points manually (admin only)
+router.post('/adjustments', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId, points, description } = req.body;
+
+    if (!description) {
+      return res.status(400).json({
+        error: 'Description required',
+        message: 'Descrizione richiesta'
+      });
+    }
+
+    const entry = await adjustPoints({
+      userId,
+      points,
+      description,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'loyalty.adjust',
+      targetType: 'User',
+      targetId: entry.userId,
+      metadata: { entryId: entry._id, points: entry.points, description }
+    });
+
+    res.status(201).json({
+      message: 'Points adjusted successfully',
+      message_it: 'Punti rettificati con successo',
+      entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Adjust points error:', error);
+    res.status(500).json({
+      error: 'Failed to adjust points',
+      message: 'Impossibile rettificare i punti'
+    });
+  }
+});
+
+// Write off expired points for all users (admin only)
+router.post('/expire', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const result = await expireAllPoints();
+
+    await recordAudit(req, { action: 'loyalty.expire', metadata: result });
+
+    res.json({
+      message: 'Expired points processed successfully',
+      message_it: 'Punti scaduti elaborati con successo',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Expire points error:', error);
+    res.status(500).json({
+      error: 'Failed to expire points',
+      message: 'Impossibile elaborare i punti scaduti'
+    });
+  }
+});
+
+module.exports = router;
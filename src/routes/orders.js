@@ -0,0 +1,197 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Invoice = require('../models/Invoice');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { updateOrderStatus } = require('../utils/orders');
+const { regenerateInvoice, renderInvoice } = require('../utils/invoices');
+const { sendPdf } = require('../utils/pdf');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// List orders (admin only)
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const {
+      status,
+      userId,
+      orderNumber,
+      from,
+      to,
+      page = 1,
+      limit = 20,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (userId && mongoose.isValidObjectId(userId)) filter.userId = userId;
+    if (orderNumber) filter.orderNumber = orderNumber.toUpperCase();
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const skip = (page - 1) * limit;
+
+    const orders = await Order.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('userId', 'firstName lastName email clientCode ambassadorCode');
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List orders error:', error);
+    res.status(500).json({
+      error: 'Failed to list orders',
+      message: 'Impossibile ottenere gli ordini'
+    });
+  }
+});
+
+// Get single order (admin only)
+router.get('/:orderId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId)
+      .populate('userId', 'firstName lastName email clientCode ambassadorCode address')
+      .populate('statusHistory.changedBy', 'firstName lastName email');
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'Ordine non trovato'
+      });
+    }
+
+    res.json({ order });
+
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      error: 'Failed to get order',
+      message: 'Impossibile ottenere l\'ordine'
+    });
+  }
+});
+
+// Update order status (admin only)
+router.put('/:orderId/status', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const order = await updateOrderStatus(req.params.orderId, status, {
+      changedBy: req.user._id,
+      note
+    });
+
+    const history = order.statusHistory;
+    await recordAudit(req, {
+      action: 'order.status_change',
+      targetType: 'Order',
+      targetId: order._id,
+      before: { status: history.length > 1 ? history[history.length - 2].status : undefined },
+      after: { status: order.status },
+      metadata: { orderNumber: order.orderNumber, note }
+    });
+
+    res.json({
+      message: 'Order status updated successfully',
+      message_it: 'Stato ordine aggiornato con successo',
+      order
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Update order status error:', error);
+    res.status(500).json({
+      error: 'Failed to update order status',
+      message: 'Impossibile aggiornare lo stato dell\'ordine'
+    });
+  }
+});
+
+// Download an order's invoice (admin only)
+router.get('/:orderId/invoice', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const invoice = mongoose.isValidObjectId(orderId) ? await Invoice.findOne({ orderId }) : null;
+
+    if (!invoice) {
+      return res.status(404).json({
+        error: 'Invoice not found',
+        message: 'Fattura non trovata'
+      });
+    }
+
+    const pdf = await renderInvoice(invoice);
+    sendPdf(res, pdf, `invoice-${invoice.invoiceNumber.replace('/', '-')}.pdf`);
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to generate invoice',
+      message: 'Impossibile generare la fattura'
+    });
+  }
+});
+
+// Regenerate an order's invoice with current seller/customer data (admin only)
+router.post('/:orderId/invoice/regenerate', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.isValidObjectId(orderId)) {
+      return res.status(404).json({
+        error: 'Order not found',
+        message: 'Ordine non trovato'
+      });
+    }
+
+    const invoice = await regenerateInvoice(orderId, { regeneratedBy: req.user._id });
+
+    await recordAudit(req, {
+      action: 'invoice.regenerate',
+      targetType: 'Invoice',
+      targetId: invoice._id,
+      metadata: { orderId, invoiceNumber: invoice.invoiceNumber }
+    });
+
+    res.json({
+      message: 'Invoice regenerated successfully',
+      message_it: 'Fattura rigenerata con successo',
+      invoice
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Regenerate invoice error:', error);
+    res.status(500).json({
+      error: 'Failed to regenerate invoice',
+      message: 'Impossibile rigenerare la fattura'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const CommissionPeriod = require('../models/CommissionPeriod');
+const PeriodEarning = require('../models/PeriodEarning');
+const PayoutBatch = require('../models/PayoutBatch');
+const { authenticateToken, authorizeRoles, forbidWhileImpersonating } = require('../utils/auth');
+const { getPayoutConfig, getNextPeriod, closeNextPeriod, updateBatchStatus } = require('../utils/payouts');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// List closed commission periods and the next one to close (admin only)
+router.get('/periods', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 12 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const periods = await CommissionPeriod.find()
+      .sort({ endDate: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('closedBy', 'firstName lastName email');
+
+    const total = await CommissionPeriod.countDocuments();
+    const config = getPayoutConfig();
+    const nextPeriod = await getNextPeriod(config.frequency);
+
+    res.json({
+      periods,
+      nextPeriod: {
+        ...nextPeriod,
+        closable: nextPeriod.end <= new Date()
+      },
+      config,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List periods error:', error);
+    res.status(500).json({
+      error: 'Failed to list periods',
+      message: 'Impossibile ottenere i periodi commissioni'
+    });
+  }
+});
+
+// Close the next commission period (admin only)
+router.post('/periods/close', authenticateToken, forbidWhileImpersonating, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { frequency, minimumPayout } = req.body;
+
+    const { period, batch } = await closeNextPeriod({
+      closedBy: req.user._id,
+      frequency,
+      minimumPayout
+    });
+
+    await recordAudit(req, {
+      action: 'payout.period_close',
+      targetType: 'CommissionPeriod',
+      targetId: period._id,
+      metadata: { key: period.key, batchId: batch ? batch._id : undefined, frequency, minimumPayout }
+    });
+
+    res.status(201).json({
+      message: 'Commission period closed successfully',
+      message_it: 'Periodo commissioni chiuso con successo',
+      period,
+      batch
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Period already closed',
+        message: 'Periodo già chiuso'
+      });
+    }
+
+    console.error('Close period error:', error);
+    res.status(500).json({
+      error: 'Failed to close period',
+      message: 'Impossibile chiudere il periodo commissioni'
+    });
+  }
+});
+
+// Get a closed period with its earning snapshots (admin only)
+router.get('/periods/:periodId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { periodId } = req.params;
+    const period = mongoose.isValidObjectId(periodId) ? await CommissionPeriod.findById(periodId) : null;
+
+    if (!period) {
+      return res.status(404).json({
+        error: 'Period not found',
+        message: 'Periodo non trovato'
+      });
+    }
+
+    const earnings = await PeriodEarning.find({ periodId: period._id })
+      .sort({ available: -1 })
+      .populate('beneficiaryId', 'firstName lastName email ambassadorCode');
+
+    res.json({ period, earnings });
+
+  } catch (error) {
+    console.error('Get period error:', error);
+    res.status(500).json({
+      error: 'Failed to get period',
+      message: 'Impossibile ottenere il periodo'
+    });
+  }
+});
+
+// List payout batches (admin only)
+router.get('/batches', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 12 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+
+    const batches = await PayoutBatch.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('-items')
+      .populate('periodId', 'key startDate endDate');
+
+    const total = await PayoutBatch.countDocuments(filter);
+
+    res.json({
+      batches,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('List batches error:', error);
+    res.status(500).json({
+      error: 'Failed to list payout batches',
+      message: 'Impossibile ottenere i lotti di pagamento'
+    });
+  }
+});
+
+// Get a payout batch with its line items (admin only)
+router.get('/batches/:batchId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { batchId } = req.params;
+    const batch = mongoose.isValidObjectId(batchId)
+      ? await PayoutBatch.findById(batchId)
+        .populate('periodId', 'key startDate endDate minimumPayout')
+        .populate('items.beneficiaryId', 'firstName lastName email ambassadorCode')
+      : null;
+
+    if (!batch) {
+      return res.status(404).json({
+        error: 'Payout batch not found',
+        message: 'Lotto di pagamento non trovato'
+      });
+    }
+
+    res.json({ batch });
+
+  } catch (error) {
+    console.error('Get batch error:', error);
+    res.status(500).json({
+      error: 'Failed to get payout batch',
+      message: 'Impossibile ottenere il lotto di pagamento'
+    });
+  }
+});
+
+// Approve or mark a payout batch as paid (admin only)
+router.put('/batches/:batchId/status', authenticateToken, forbidWhileImpersonating, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status, paymentReference } = req.body;
+    const { batchId } = req.params;
+
+    const previous = mongoose.isValidObjectId(batchId) ? await PayoutBatch.findById(batchId).select('status') : null;
+
+    const batch = await updateBatchStatus(batchId, status, {
+      changedBy: req.user._id,
+      paymentReference
+    });
+
+    await recordAudit(req, {
+      action: 'payout_batch.status_change',
+      targetType: 'PayoutBatch',
+      targetId: batch._id,
+      before: { status: previous ? previous.status : undefined },
+      after: { status: batch.status },
+      metadata: { paymentReference }
+    });
+
+    res.json({
+      message: 'Payout batch updated successfully',
+      message_it: 'Lotto di pagamento aggiornato con successo',
+      batch
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Update batch status error:', error);
+    res.status(500).json({
+      error: 'Failed to update payout batch',
+      message: 'Impossibile aggiornare il lotto di pagamento'
+    });
+  }
+});
+
+module.exports = router;
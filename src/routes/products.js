@@ -0,0 +1,268 @@
+const express = require('express');
+const Product = require('../models/Product');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Fields an admin is allowed to set on a product
+const EDITABLE_FIELDS = ['sku', 'name', 'description', 'category', 'price', 'vatRate', 'images', 'active', 'stock'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Fields the list can be sorted on, and its largest page
+const SORT_FIELDS = ['sku', 'name', 'category', 'price', 'stock', 'active', 'createdAt', 'updatedAt'];
+const MAX_LIMIT = 100;
+
+// Escape user input for use inside a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List products (admin only)
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const {
+      query,
+      category,
+      active,
+      page = 1,
+      limit = 20,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const filter = {};
+
+    // Search by name or SKU, matching the text literally
+    if (query && typeof query === 'string') {
+      const pattern = escapeRegex(query);
+      filter.$or = [
+        { name: { $regex: pattern, $options: 'i' } },
+        { sku: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+
+    if (category) filter.category = category;
+    if (active !== undefined) filter.active = active === 'true';
+
+    // Only allow sorting on catalog fields
+    const sortField = SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+    const sort = {};
+    sort[sortField] = sortOrder === 'desc' ? -1 : 1;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_LIMIT);
+    const skip = (pageNumber - 1) * pageSize;
+
+    const products = await Product.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(pageSize);
+
+    const total = await Product.countDocuments(filter);
+
+    res.json({
+      products,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        pages: Math.ceil(total / pageSize)
+      }
+    });
+
+  } catch (error) {
+    console.error('List products error:', error);
+    res.status(500).json({
+      error: 'Failed to list products',
+      message: 'Impossibile ottenere i prodotti'
+    });
+  }
+});
+
+// Get single product (admin only)
+router.get('/:productId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.productId);
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'Prodotto non trovato'
+      });
+    }
+
+    res.json({ product });
+
+  } catch (error) {
+    console.error('Get product error:', error);
+    res.status(500).json({
+      error: 'Failed to get product',
+      message: 'Impossibile ottenere il prodotto'
+    });
+  }
+});
+
+// Create product (admin only)
+router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const productData = pickEditableFields(req.body);
+
+    // Validate required fields
+    if (!productData.sku || !productData.name || !productData.category || productData.price === undefined) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Campi obbligatori mancanti'
+      });
+    }
+
+    const existingProduct = await Product.findBySku(productData.sku);
+    if (existingProduct) {
+      return res.status(400).json({
+        error: 'SKU already exists',
+        message: 'SKU già esistente'
+      });
+    }
+
+    const product = new Product(productData);
+    await product.save();
+
+    await recordAudit(req, {
+      action: 'product.create',
+      targetType: 'Product',
+      targetId: product._id,
+      after: product
+    });
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      message_it: 'Prodotto creato con successo',
+      product
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid product data',
+        message: 'Dati prodotto non validi'
+      });
+    }
+
+    console.error('Create product error:', error);
+    res.status(500).json({
+      error: 'Failed to create product',
+      message: 'Impossibile creare il prodotto'
+    });
+  }
+});
+
+// Update product (admin only)
+router.put('/:productId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const updateData = pickEditableFields(req.body);
+
+    if (updateData.sku) {
+      const existingProduct = await Product.findBySku(updateData.sku);
+      if (existingProduct && existingProduct._id.toString() !== productId) {
+        return res.status(400).json({
+          error: 'SKU already exists',
+          message: 'SKU già esistente'
+        });
+      }
+    }
+
+    // Reactivating a product clears its archive date
+    if (updateData.active === true) {
+      updateData.archivedAt = null;
+    }
+
+    const before = await Product.findById(productId);
+    const product = before && await Product.findByIdAndUpdate(
+      productId,
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'Prodotto non trovato'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'product.update',
+      targetType: 'Product',
+      targetId: product._id,
+      before,
+      after: product
+    });
+
+    res.json({
+      message: 'Product updated successfully',
+      message_it: 'Prodotto aggiornato con successo',
+      product
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid product data',
+        message: 'Dati prodotto non validi'
+      });
+    }
+
+    console.error('Update product error:', error);
+    res.status(500).json({
+      error: 'Failed to update product',
+      message: 'Impossibile aggiornare il prodotto'
+    });
+  }
+});
+
+// Archive product (admin only)
+router.put('/:productId/archive', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const before = await Product.findById(req.params.productId);
+    const product = before && await Product.findByIdAndUpdate(
+      req.params.productId,
+      { active: false, archivedAt: new Date() },
+      { new: true }
+    );
+
+    if (!product) {
+      return res.status(404).json({
+        error: 'Product not found',
+        message: 'Prodotto non trovato'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'product.archive',
+      targetType: 'Product',
+      targetId: product._id,
+      before,
+      after: product
+    });
+
+    res.json({
+      message: 'Product archived successfully',
+      message_it: 'Prodotto archiviato con successo',
+      product
+    });
+
+  } catch (error) {
+    console.error('Archive product error:', error);
+    res.status(500).json({
+      error: 'Failed to archive product',
+      message: 'Impossibile archiviare il prodotto'
+    });
+  }
+});
+
+module.exports = router;
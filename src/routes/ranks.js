@@ -0,0 +1,270 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Rank = require('../models/Rank');
+const RankHistory = require('../models/RankHistory');
+const CommissionPeriod = require('../models/CommissionPeriod');
+const { authenticateToken, authorizeRoles } = require('../utils/auth');
+const { ensureDefaultRanks, evaluateRanks, setUserRank } = require('../utils/ranks');
+const { recordAudit } = require('../utils/audit');
+const router = express.Router();
+
+// Fields an admin is allowed to set on a rank
+const EDITABLE_FIELDS = ['code', 'name', 'level', 'qualifications', 'active'];
+
+const pickEditableFields = (body) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// List ranks (admin only)
+router.get('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    await ensureDefaultRanks();
+    const ranks = await Rank.find().sort({ level: 1 });
+
+    res.json({ ranks });
+
+  } catch (error) {
+    console.error('List ranks error:', error);
+    res.status(500).json({
+      error: 'Failed to list ranks',
+      message: 'Impossibile ottenere i ranghi'
+    });
+  }
+});
+
+// Create rank (admin only)
+router.post('/', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const rankData = pickEditableFields(req.body);
+
+    if (!rankData.code || !rankData.name || rankData.level === undefined) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        message: 'Campi obbligatori mancanti'
+      });
+    }
+
+    const rank = await Rank.create(rankData);
+
+    await recordAudit(req, {
+      action: 'rank.create',
+      targetType: 'Rank',
+      targetId: rank._id,
+      after: rank
+    });
+
+    res.status(201).json({
+      message: 'Rank created successfully',
+      message_it: 'Rango creato con successo',
+      rank
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid rank data',
+        message: 'Dati rango non validi'
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Rank code or level already exists',
+        message: 'Codice o livello del rango già esistente'
+      });
+    }
+
+    console.error('Create rank error:', error);
+    res.status(500).json({
+      error: 'Failed to create rank',
+      message: 'Impossibile creare il rango'
+    });
+  }
+});
+
+// Update rank (admin only)
+router.put('/:rankId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { rankId } = req.params;
+    const before = mongoose.isValidObjectId(rankId) ? await Rank.findById(rankId) : null;
+    const rank = before
+      ? await Rank.findByIdAndUpdate(rankId, pickEditableFields(req.body), { new: true, runValidators: true })
+      : null;
+
+    if (!rank) {
+      return res.status(404).json({
+        error: 'Rank not found',
+        message: 'Rango non trovato'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'rank.update',
+      targetType: 'Rank',
+      targetId: rank._id,
+      before,
+      after: rank
+    });
+
+    res.json({
+      message: 'Rank updated successfully',
+      message_it: 'Rango aggiornato con successo',
+      rank
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Invalid rank data',
+        message: 'Dati rango non validi'
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        error: 'Rank code or level already exists',
+        message: 'Codice o livello del rango già esistente'
+      });
+    }
+
+    console.error('Update rank error:', error);
+    res.status(500).json({
+      error: 'Failed to update rank',
+      message: 'Impossibile aggiornare il rango'
+    });
+  }
+});
+
+// Evaluate all ambassadors over a closed period, a date range or the rolling window (admin only)
+router.post('/evaluate', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { periodId, from, to, dryRun = false } = req.body;
+    let window = {};
+
+    if (periodId) {
+      const period = mongoose.isValidObjectId(periodId) ? await CommissionPeriod.findById(periodId) : null;
+      if (!period) {
+        return res.status(404).json({
+          error: 'Period not found',
+          message: 'Periodo non trovato'
+        });
+      }
+      window = { start: period.startDate, end: period.endDate };
+    } else if (from || to) {
+      window = { start: new Date(from), end: to ? new Date(to) : new Date() };
+    }
+
+    const result = await evaluateRanks({ ...window, dryRun: Boolean(dryRun) });
+
+    // Dry runs change nothing
+    if (!result.dryRun) {
+      const { changes, ...summary } = result;
+      await recordAudit(req, { action: 'rank.evaluate', metadata: { ...summary, periodId } });
+    }
+
+    res.json({
+      message: 'Ranks evaluated successfully',
+      message_it: 'Ranghi valutati con successo',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Evaluate ranks error:', error);
+    res.status(500).json({
+      error: 'Failed to evaluate ranks',
+      message: 'Impossibile valutare i ranghi'
+    });
+  }
+});
+
+// List rank changes (admin only)
+router.get('/history', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId, change, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (userId && mongoose.isValidObjectId(userId)) filter.userId = userId;
+    if (change) filter.change = change;
+
+    const skip = (page - 1) * limit;
+
+    const history = await RankHistory.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('userId', 'firstName lastName email ambassadorCode')
+      .populate('fromRankId toRankId', 'code name level');
+
+    const total = await RankHistory.countDocuments(filter);
+
+    res.json({
+      history,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Rank history error:', error);
+    res.status(500).json({
+      error: 'Failed to get rank history',
+      message: 'Impossibile ottenere lo storico dei ranghi'
+    });
+  }
+});
+
+// Override an ambassador's rank (admin only)
+router.put('/users/:userId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { rankId, reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'Reason required',
+        message: 'Motivazione richiesta'
+      });
+    }
+
+    const entry = await setUserRank(req.params.userId, rankId || null, {
+      reason,
+      createdBy: req.user._id
+    });
+
+    await recordAudit(req, {
+      action: 'user.rank_set',
+      targetType: 'User',
+      targetId: entry.userId,
+      before: { rankId: entry.fromRankId },
+      after: { rankId: entry.toRankId },
+      metadata: { rankHistoryId: entry._id, change: entry.change, reason }
+    });
+
+    res.json({
+      message: 'Rank updated successfully',
+      message_it: 'Rango aggiornato con successo',
+      entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Set user rank error:', error);
+    res.status(500).json({
+      error: 'Failed to update rank',
+      message: 'Impossibile aggiornare il rango'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,31 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { authenticateToken, authorizeRoles, canAccessResource } = require('../utils/auth');
+const { authenticateToken, authorizeRoles, forbidWhileImpersonating, canAccessResource } = require('../utils/auth');
+const { issueTokens, revokeUserSessions } = require('../utils/sessions');
+const { resetTwoFactor } = require('../utils/twoFactor');
+const { assertEmailVerified, sendVerificationEmail } = require('../utils/emailVerification');
+const { normalizePhoneField } = require('../utils/phone');
+const { changeSponsor, checkGenealogy } = require('../utils/genealogy');
+const { recordAudit } = require('../utils/audit');
 const router = express.Router();
 
+// Fields a user is allowed to change on their own profile. Everything else (role,
+// status, genealogy, ranks, verification, two-factor...) has its own flow.
+const PROFILE_FIELDS = ['email', 'firstName', 'lastName', 'phone', 'avatar', 'address', 'dateOfBirth', 'taxCode', 'vatNumber', 'language', 'timezone'];
+
+const pickProfileFields = (body) => {
+  const data = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Update operators or dotted paths anywhere in the body
+const hasOperatorKeys = (value) => Boolean(value) && typeof value === 'object' &&
+  Object.keys(value).some(key => key.startsWith('$') || key.includes('.') || hasOperatorKeys(value[key]));
+
 // Get user profile
 router.get('/profile/:userId', authenticateToken, async (req, res) => {
   try {
@@ -40,10 +63,9 @@ router.get('/profile/:userId', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile/:userId', authenticateToken, async (req, res) => {
+router.put('/profile/:userId', authenticateToken, forbidWhileImpersonating, async (req, res) => {
   try {
     const { userId } = req.params;
-    const updateData = req.body;
 
     // Check if user can update this profile
     if (req.user._id.toString() !== userId && req.user.role !== 'admin') {
@@ -53,22 +75,33 @@ router.put('/profile/:userId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Remove sensitive fields that shouldn't be updated directly
-    delete updateData.password;
-    delete updateData.role;
-    delete updateData.status;
-    delete updateData.ambassadorCode;
-    delete updateData.clientCode;
-    delete updateData.sponsorId;
-    delete updateData.upline;
-    delete updateData.downline;
-    delete updateData.level;
-    delete updateData.totalEarnings;
-    delete updateData.totalPurchases;
+    if (hasOperatorKeys(req.body)) {
+      return res.status(400).json({
+        error: 'Invalid profile data',
+        message: 'Dati del profilo non validi'
+      });
+    }
+
+    const updateData = pickProfileFields(req.body);
+
+    normalizePhoneField(updateData);
+
+    // A new email address or phone number has to be verified again
+    const current = await User.findById(userId).select('-password');
+    const emailChanged = Boolean(current && typeof updateData.email === 'string' &&
+      updateData.email.toLowerCase().trim() !== current.email);
+    if (emailChanged) {
+      updateData.emailVerified = false;
+      updateData.emailVerifiedAt = null;
+    }
+    if (current && updateData.phone !== undefined && updateData.phone !== current.phone) {
+      updateData.phoneVerified = false;
+      updateData.phoneVerifiedAt = null;
+    }
 
     const user = await User.findByIdAndUpdate(
       userId,
-      updateData,
+      { $set: updateData },
       { new: true, runValidators: true }
     ).select('-password');
 
@@ -79,6 +112,18 @@ router.put('/profile/:userId', authenticateToken, async (req, res) => {
       });
     }
 
+    if (emailChanged) {
+      sendVerificationEmail(user).catch(error => console.error('Verification email error:', error));
+    }
+
+    await recordAudit(req, {
+      action: 'user.update',
+      targetType: 'User',
+      targetId: user._id,
+      before: current,
+      after: user
+    });
+
     res.json({
       message: 'Profile updated successfully',
       message_it: 'Profilo aggiornato con successo',
@@ -86,6 +131,10 @@ router.put('/profile/:userId', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Update profile error:', error);
     res.status(500).json({
       error: 'Failed to update profile',
@@ -95,7 +144,7 @@ router.put('/profile/:userId', authenticateToken, async (req, res) => {
 });
 
 // Change password
-router.put('/change-password/:userId', authenticateToken, async (req, res) => {
+router.put('/change-password/:userId', authenticateToken, forbidWhileImpersonating, async (req, res) => {
   try {
     const { userId } = req.params;
     const { currentPassword, newPassword } = req.body;
@@ -138,9 +187,31 @@ router.put('/change-password/:userId', authenticateToken, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Tokens issued before the change are now rejected: sign out other devices
+    // and hand the caller a fresh token pair for the current session
+    const isSelf = req.user._id.equals(user._id);
+    await revokeUserSessions(user._id, {
+      reason: 'password_change',
+      exceptSessionId: isSelf ? req.session._id : undefined
+    });
+
+    let tokens = {};
+    if (isSelf) {
+      tokens = issueTokens(req.session);
+      await req.session.save();
+    }
+
+    await recordAudit(req, {
+      action: 'user.password_change',
+      targetType: 'User',
+      targetId: user._id,
+      metadata: { currentPasswordChecked: req.user.role !== 'admin' }
+    });
+
     res.json({
       message: 'Password changed successfully',
-      message_it: 'Password cambiata con successo'
+      message_it: 'Password cambiata con successo',
+      ...tokens
     });
 
   } catch (error) {
@@ -268,6 +339,53 @@ router.get('/stats', authenticateToken, authorizeRoles('admin'), async (req, res
   }
 });
 
+// Report genealogy inconsistencies (admin only). ?limit caps the listed issues; counts cover all.
+router.get('/genealogy/check', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { limit = 100 } = req.query;
+    const { issues, ...report } = await checkGenealogy();
+
+    res.json({
+      ...report,
+      issues: issues.slice(0, parseInt(limit))
+    });
+
+  } catch (error) {
+    console.error('Check genealogy error:', error);
+    res.status(500).json({
+      error: 'Failed to check genealogy',
+      message: 'Impossibile verificare la genealogia'
+    });
+  }
+});
+
+// Rewrite downline, upline and level of every member from sponsorId (admin only)
+router.post('/genealogy/repair', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { limit = 100 } = req.body;
+    const { issues, ...report } = await checkGenealogy({ repair: true });
+
+    await recordAudit(req, {
+      action: 'user.genealogy_repair',
+      metadata: { scanned: report.scanned, counts: report.counts, repaired: report.repaired }
+    });
+
+    res.json({
+      message: 'Genealogy repaired successfully',
+      message_it: 'Genealogia riparata con successo',
+      ...report,
+      issues: issues.slice(0, parseInt(limit))
+    });
+
+  } catch (error) {
+    console.error('Repair genealogy error:', error);
+    res.status(500).json({
+      error: 'Failed to repair genealogy',
+      message: 'Impossibile riparare la genealogia'
+    });
+  }
+});
+
 // Update user status (admin only)
 router.put('/:userId/status', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
@@ -281,11 +399,7 @@ router.put('/:userId/status', authenticateToken, authorizeRoles('admin'), async
       });
     }
 
-    const user = await User.findByIdAndUpdate(
-      userId,
-      { status },
-      { new: true }
-    ).select('-password');
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return res.status(404).json({
@@ -294,6 +408,23 @@ router.put('/:userId/status', authenticateToken, authorizeRoles('admin'), async
       });
     }
 
+    if (status === 'active' && user.role === 'ambassador') {
+      assertEmailVerified(user, 'ambassador');
+    }
+
+    const previousStatus = user.status;
+    if (user.setStatus(status, req.user._id)) {
+      await user.save();
+
+      await recordAudit(req, {
+        action: 'user.status_change',
+        targetType: 'User',
+        targetId: user._id,
+        before: { status: previousStatus },
+        after: { status }
+      });
+    }
+
     res.json({
       message: 'User status updated successfully',
       message_it: 'Stato utente aggiornato con successo',
@@ -301,6 +432,10 @@ router.put('/:userId/status', authenticateToken, authorizeRoles('admin'), async
     });
 
   } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
     console.error('Update status error:', error);
     res.status(500).json({
       error: 'Failed to update status',
@@ -309,8 +444,142 @@ router.put('/:userId/status', authenticateToken, authorizeRoles('admin'), async
   }
 });
 
+// Move a user and their downline under another sponsor (admin only). Pass sponsorId or
+// sponsorCode, or sponsorId: null to detach; dryRun previews the level changes.
+router.put('/:userId/sponsor', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { sponsorCode, reason, dryRun = false } = req.body;
+    let { sponsorId } = req.body;
+
+    if (sponsorCode) {
+      const sponsor = await User.findByCode(sponsorCode);
+      if (!sponsor) {
+        return res.status(400).json({
+          error: 'Invalid sponsor code',
+          message: 'Codice sponsor non valido'
+        });
+      }
+      sponsorId = sponsor._id;
+    } else if (sponsorId === undefined) {
+      return res.status(400).json({
+        error: 'Sponsor required',
+        message: 'Sponsor richiesto'
+      });
+    }
+
+    const result = await changeSponsor(userId, sponsorId, { dryRun: Boolean(dryRun) });
+
+    // Dry runs change nothing
+    if (!result.dryRun) {
+      await recordAudit(req, {
+        action: 'user.sponsor_change',
+        targetType: 'User',
+        targetId: result.userId,
+        before: { sponsorId: result.fromSponsorId },
+        after: { sponsorId: result.toSponsorId },
+        metadata: { reason, moved: result.moved, updated: result.updated }
+      });
+    }
+
+    res.json({
+      message: result.dryRun ? 'Sponsor change preview' : 'Sponsor changed successfully',
+      message_it: result.dryRun ? 'Anteprima del cambio sponsor' : 'Sponsor cambiato con successo',
+      ...result
+    });
+
+  } catch (error) {
+    if (error.name === 'ApiError') {
+      return res.status(error.status).json(error.toJSON());
+    }
+
+    console.error('Change sponsor error:', error);
+    res.status(500).json({
+      error: 'Failed to change sponsor',
+      message: 'Impossibile cambiare lo sponsor'
+    });
+  }
+});
+
+// Revoke all sessions of a user (admin only)
+router.delete('/:userId/sessions', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        error: 'Invalid user id',
+        message: 'ID utente non valido'
+      });
+    }
+
+    const revoked = await revokeUserSessions(userId, { reason: 'admin' });
+
+    await recordAudit(req, {
+      action: 'user.sessions_revoke',
+      targetType: 'User',
+      targetId: userId,
+      metadata: { revoked }
+    });
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      message_it: 'Sessioni revocate con successo',
+      revoked
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: 'Impossibile revocare le sessioni'
+    });
+  }
+});
+
+// Reset a user's two-factor authentication, e.g. after a lost device (admin only).
+// The user is signed out everywhere and enrolls again at the next login if required.
+router.delete('/:userId/2fa', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        error: 'Invalid user id',
+        message: 'ID utente non valido'
+      });
+    }
+
+    const reset = await resetTwoFactor(userId);
+    if (!reset) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'Utente non trovato'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'user.two_factor_reset',
+      targetType: 'User',
+      targetId: userId
+    });
+
+    res.json({
+      message: 'Two-factor authentication reset successfully',
+      message_it: 'Autenticazione a due fattori reimpostata con successo'
+    });
+
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      error: 'Failed to reset two-factor authentication',
+      message: 'Impossibile reimpostare l\'autenticazione a due fattori'
+    });
+  }
+});
+
 // Delete user (admin only)
-router.delete('/:userId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+router.delete('/:userId', authenticateToken, forbidWhileImpersonating, authorizeRoles('admin'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -332,6 +601,13 @@ router.delete('/:userId', authenticateToken, authorizeRoles('admin'), async (req
 
     await User.findByIdAndDelete(userId);
 
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'User',
+      targetId: user._id,
+      before: user
+    });
+
     res.json({
       message: 'User deleted successfully',
       message_it: 'Utente eliminato con successo'
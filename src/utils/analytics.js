@@ -0,0 +1,151 @@
+const User = require('../models/User');
+const { getBucketExpression } = require('./dates');
+
+const GROWTH_ROLES = ['ambassador', 'client'];
+
+// Count users per bucket and role, optionally from status history entries
+const countByBucket = async (pipeline) => {
+  const rows = await User.aggregate(pipeline);
+  const counts = new Map();
+  rows.forEach(row => counts.set(`${row._id.bucket}|${row._id.role}`, row.count));
+  return (bucket, role) => counts.get(`${bucket}|${role}`) || 0;
+};
+
+const statusChangePipeline = (match, { period, timezone, start, end }) => [
+  { $match: { role: { $in: GROWTH_ROLES }, 'statusHistory.changedAt': { $gte: start, $lt: end } } },
+  { $unwind: '$statusHistory' },
+  { $match: { 'statusHistory.changedAt': { $gte: start, $lt: end }, ...match } },
+  {
+    $group: {
+      _id: { bucket: getBucketExpression('$statusHistory.changedAt', period, timezone), role: '$role' },
+      count: { $sum: 1 }
+    }
+  }
+];
+
+// Registration, activation and churn series by role over a range resolved by dates.resolveRange.
+// Activations are changes to active from any other status; churn is active -> inactive.
+const getGrowthAnalytics = async (range) => {
+  const { period, timezone, start, end, keys } = range;
+
+  const registrations = await countByBucket([
+    { $match: { role: { $in: GROWTH_ROLES }, createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: { bucket: getBucketExpression('$createdAt', period, timezone), role: '$role' },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const activations = await countByBucket(statusChangePipeline({
+    'statusHistory.status': 'active',
+    'statusHistory.previousStatus': { $in: ['pending', 'inactive'] }
+  }, range));
+
+  const churn = await countByBucket(statusChangePipeline({
+    'statusHistory.status': 'inactive',
+    'statusHistory.previousStatus': 'active'
+  }, range));
+
+  // Registration cohorts: how many of the users who signed up in a bucket left pending, and how fast
+  const cohortRows = await User.aggregate([
+    { $match: { role: { $in: GROWTH_ROLES }, createdAt: { $gte: start, $lt: end } } },
+    {
+      $project: {
+        role: 1,
+        bucket: getBucketExpression('$createdAt', period, timezone),
+        activation: {
+          $first: {
+            $filter: {
+              input: { $ifNull: ['$statusHistory', []] },
+              cond: {
+                $and: [
+                  { $eq: ['$$this.status', 'active'] },
+                  { $eq: ['$$this.previousStatus', 'pending'] }
+                ]
+              }
+            }
+          }
+        },
+        createdAt: 1
+      }
+    },
+    {
+      $group: {
+        _id: { bucket: '$bucket', role: '$role' },
+        registered: { $sum: 1 },
+        activated: { $sum: { $cond: [{ $ifNull: ['$activation', false] }, 1, 0] } },
+        avgHoursToActivate: {
+          $avg: {
+            $cond: [
+              { $ifNull: ['$activation', false] },
+              { $divide: [{ $subtract: ['$activation.changedAt', '$createdAt'] }, 60 * 60 * 1000] },
+              null
+            ]
+          }
+        }
+      }
+    }
+  ]);
+  const cohorts = new Map(cohortRows.map(row => [`${row._id.bucket}|${row._id.role}`, row]));
+
+  const rate = (part, total) => total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+
+  const series = keys.map(bucket => {
+    const byRole = {};
+    GROWTH_ROLES.forEach(role => {
+      const cohort = cohorts.get(`${bucket}|${role}`);
+      byRole[role] = {
+        registrations: registrations(bucket, role),
+        activations: activations(bucket, role),
+        churned: churn(bucket, role),
+        netNew: registrations(bucket, role) - churn(bucket, role),
+        conversion: {
+          registered: cohort ? cohort.registered : 0,
+          activated: cohort ? cohort.activated : 0,
+          rate: cohort ? rate(cohort.activated, cohort.registered) : 0,
+          avgHoursToActivate: cohort && cohort.avgHoursToActivate !== null
+            ? Math.round(cohort.avgHoursToActivate * 10) / 10
+            : null
+        }
+      };
+    });
+
+    return {
+      period: bucket,
+      registrations: GROWTH_ROLES.reduce((sum, role) => sum + byRole[role].registrations, 0),
+      activations: GROWTH_ROLES.reduce((sum, role) => sum + byRole[role].activations, 0),
+      churned: GROWTH_ROLES.reduce((sum, role) => sum + byRole[role].churned, 0),
+      ...byRole
+    };
+  });
+
+  const totals = {};
+  GROWTH_ROLES.forEach(role => {
+    const sum = (field) => series.reduce((total, s) => total + s[role][field], 0);
+    const registered = series.reduce((total, s) => total + s[role].conversion.registered, 0);
+    const activated = series.reduce((total, s) => total + s[role].conversion.activated, 0);
+    totals[role] = {
+      registrations: sum('registrations'),
+      activations: sum('activations'),
+      churned: sum('churned'),
+      netNew: sum('netNew'),
+      conversionRate: rate(activated, registered)
+    };
+  });
+
+  return {
+    period,
+    timezone,
+    from: start,
+    to: end,
+    totals,
+    series
+  };
+};
+
+module.exports = {
+  GROWTH_ROLES,
+  getGrowthAnalytics
+};
@@ -0,0 +1,70 @@
+const AuditLog = require('../models/AuditLog');
+
+// Fields never copied into the audit log
+const REDACTED_FIELDS = ['password', 'twoFactor', 'refreshTokenHash', 'previousTokenHash', 'tokenHash', 'codeHash'];
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'statusHistory'];
+
+// Plain copy of a document or object without secrets
+const toSnapshot = (value) => {
+  if (!value) return {};
+  const plain = typeof value.toObject === 'function' ? value.toObject({ depopulate: true }) : { ...value };
+  REDACTED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Top-level fields that differ between two snapshots: { field: { before, after } }
+const diffSnapshots = (before, after) => {
+  const from = toSnapshot(before);
+  const to = toSnapshot(after);
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field)) return;
+    if (serialize(from[field]) !== serialize(to[field])) {
+      changes[field] = { before: from[field] === undefined ? null : from[field], after: to[field] === undefined ? null : to[field] };
+    }
+  });
+
+  return changes;
+};
+
+// Record an action performed through a request. `before`/`after` are snapshots of the
+// target (either may be omitted for creations and deletions); only the changed fields
+// are stored. `actor` and `sessionId` default to the authenticated ones; under
+// impersonation the admin is stored as impersonatorId. A failure to write the entry is
+// logged and never fails the request.
+const recordAudit = async (req, { action, targetType, targetId, before, after, metadata, actor, sessionId }) => {
+  try {
+    const actingUser = actor || req.user;
+    const entry = {
+      actorId: actingUser ? actingUser._id : undefined,
+      actorRole: actingUser ? actingUser.role : undefined,
+      impersonatorId: req.impersonator ? req.impersonator._id : undefined,
+      action,
+      targetType,
+      targetId,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      sessionId: sessionId || (req.session ? req.session._id : undefined)
+    };
+
+    if (before || after) {
+      entry.changes = diffSnapshots(before, after);
+    }
+
+    return await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`Audit log error (${action}):`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  toSnapshot,
+  diffSnapshots,
+  recordAudit
+};
@@ -1,13 +1,52 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { recordAudit } = require('./audit');
+
+// How often a session's lastSeenAt is refreshed
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Resolve the user and session of an access token; null when the session is gone,
+// revoked, or the token predates the user's last password change. Impersonation
+// tokens also resolve the admin, who must still be an active admin.
+const resolveToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || !session.isActive() || !session.userId.equals(decoded.userId)) return null;
+
+  let impersonator = null;
+  if (session.impersonatorId || decoded.imp) {
+    if (!session.impersonatorId || !session.impersonatorId.equals(decoded.imp)) return null;
+    impersonator = await User.findById(session.impersonatorId).select('-password');
+    if (!impersonator || impersonator.role !== 'admin' || impersonator.status !== 'active') return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) return null;
+
+  // iat has second precision
+  if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime() - 1000) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return { user, session, impersonator };
+};
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'your-secret-key',
-    { expiresIn: '7d' }
-  );
+// Flag the request as made under impersonation and record it once the response is sent
+const attachImpersonation = (req, res, impersonator) => {
+  req.impersonator = impersonator;
+  res.on('finish', () => {
+    recordAudit(req, {
+      action: 'impersonation.request',
+      targetType: 'User',
+      targetId: req.user._id,
+      metadata: { method: req.method, path: req.originalUrl, status: res.statusCode }
+    });
+  });
 };
 
 // Verify JWT token middleware
@@ -23,16 +62,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId).select('-password');
+    const resolved = await resolveToken(token);
 
-    if (!user) {
+    if (!resolved) {
       return res.status(401).json({ 
         error: 'Invalid token',
         message: 'Token non valido'
       });
     }
 
+    const { user, session, impersonator } = resolved;
+
     if (user.status !== 'active') {
       return res.status(403).json({ 
         error: 'Account not active',
@@ -41,6 +81,8 @@ const authenticateToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.session = session;
+    if (impersonator) attachImpersonation(req, res, impersonator);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -83,6 +125,19 @@ const authorizeRoles = (...roles) => {
   };
 };
 
+// Block sensitive actions (password, deletion, payouts, ...) for admins impersonating a user
+const forbidWhileImpersonating = (req, res, next) => {
+  if (req.impersonator) {
+    return res.status(403).json({
+      error: 'Not allowed while impersonating a user',
+      message: 'Operazione non consentita durante l\'impersonificazione di un utente',
+      code: 'IMPERSONATION_FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
 // Check if user can access specific resource
 const canAccessResource = (resourceUserId) => {
   return (req, res, next) => {
@@ -124,10 +179,11 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
-      if (user && user.status === 'active') {
-        req.user = user;
+      const resolved = await resolveToken(token);
+      if (resolved && resolved.user.status === 'active') {
+        req.user = resolved.user;
+        req.session = resolved.session;
+        if (resolved.impersonator) attachImpersonation(req, res, resolved.impersonator);
       }
     }
     next();
@@ -138,9 +194,9 @@ const optionalAuth = async (req, res, next) => {
 };
 
 module.exports = {
-  generateToken,
   authenticateToken,
   authorizeRoles,
+  forbidWhileImpersonating,
   canAccessResource,
   optionalAuth
 }; 
\ No newline at end of file
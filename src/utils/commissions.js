@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Commission = require('../models/Commission');
+const User = require('../models/User');
+const { ApiError } = require('./errors');
+const { runInTransaction } = require('./db');
+const { roundCurrency } = require('./money');
+const { getBucketExpression } = require('./dates');
+const { evaluateOrder } = require('./compensation');
+
+// Compute the ledger entries an order generates under the active compensation plan
+const calculateOrderCommissions = async (order, session = null) => {
+  const { plan, buyer, payouts } = await evaluateOrder(order, { session });
+
+  return payouts.map(payout => ({
+    beneficiaryId: payout.beneficiaryId,
+    type: payout.generation === 1 ? 'direct_sale' : 'downline_sale',
+    amount: payout.amount,
+    currency: order.currency,
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    sourceUserId: buyer._id,
+    generation: payout.generation,
+    baseAmount: order.total,
+    rate: payout.rate,
+    planId: plan ? plan._id : undefined,
+    planVersion: plan ? plan.version : undefined
+  }));
+};
+
+// Insert ledger entries and keep each beneficiary's cached totalEarnings in sync
+const insertEntries = async (entries, session) => {
+  if (entries.length === 0) return [];
+
+  const created = await Commission.insertMany(entries, { session });
+
+  const totals = new Map();
+  created.forEach(entry => {
+    const key = entry.beneficiaryId.toString();
+    totals.set(key, roundCurrency((totals.get(key) || 0) + entry.amount));
+  });
+
+  for (const [beneficiaryId, amount] of totals) {
+    await User.updateOne(
+      { _id: beneficiaryId },
+      { $inc: { totalEarnings: amount } },
+      { session }
+    );
+  }
+
+  return created;
+};
+
+// Record sale commissions for a newly paid order (idempotent per order)
+const recordOrderCommissions = async (order, session) => {
+  const existing = await Commission.exists({
+    orderId: order._id,
+    type: { $in: Commission.SALE_TYPES }
+  }).session(session);
+  if (existing) return [];
+
+  const entries = await calculateOrderCommissions(order, session);
+  return insertEntries(entries, session);
+};
+
+// Offset every sale commission of a cancelled order with an adjustment entry
+const reverseOrderCommissions = async (order, session, createdBy = null) => {
+  const saleEntries = await Commission.find({
+    orderId: order._id,
+    type: { $in: Commission.SALE_TYPES }
+  }).session(session);
+
+  const reversed = await Commission.find({
+    reversalOf: { $in: saleEntries.map(e => e._id) }
+  }).select('reversalOf').session(session);
+  const reversedIds = new Set(reversed.map(e => e.reversalOf.toString()));
+
+  const entries = saleEntries
+    .filter(entry => !reversedIds.has(entry._id.toString()))
+    .map(entry => ({
+      beneficiaryId: entry.beneficiaryId,
+      type: 'adjustment',
+      amount: -entry.amount,
+      currency: entry.currency,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      sourceUserId: entry.sourceUserId,
+      generation: entry.generation,
+      baseAmount: entry.baseAmount,
+      rate: entry.rate,
+      planId: entry.planId,
+      planVersion: entry.planVersion,
+      reversalOf: entry._id,
+      description: `Storno ordine ${order.orderNumber}`,
+      createdBy
+    }));
+
+  return insertEntries(entries, session);
+};
+
+// Record a manual bonus or adjustment for an ambassador
+const createManualEntry = async ({ beneficiaryId, type, amount, description, createdBy }) => {
+  if (!['bonus', 'adjustment'].includes(type)) {
+    throw new ApiError(400, 'Invalid commission type', 'Tipo di commissione non valido');
+  }
+
+  const value = roundCurrency(amount);
+  if (!value || (type === 'bonus' && value < 0)) {
+    throw new ApiError(400, 'Invalid amount', 'Importo non valido');
+  }
+
+  if (!mongoose.isValidObjectId(beneficiaryId)) {
+    throw new ApiError(400, 'Invalid beneficiary', 'Beneficiario non valido');
+  }
+
+  return runInTransaction(async (session) => {
+    const beneficiary = await User.findById(beneficiaryId).session(session);
+    if (!beneficiary || beneficiary.role !== 'ambassador') {
+      throw new ApiError(404, 'Ambassador not found', 'Ambassador non trovato');
+    }
+
+    const [entry] = await insertEntries([{
+      beneficiaryId: beneficiary._id,
+      type,
+      amount: value,
+      description,
+      createdBy
+    }], session);
+
+    return entry;
+  });
+};
+
+// Recompute the cached totalEarnings of a user from the ledger
+const syncTotalEarnings = async (userId) => {
+  const total = roundCurrency(await Commission.getBalance(userId));
+  await User.updateOne({ _id: userId }, { totalEarnings: total });
+  return total;
+};
+
+// Ledger totals of a beneficiary bucketed over a range resolved by dates.resolveRange.
+// `earnings` is the net of every entry, `commission` the net of sale commissions and their reversals.
+const getEarningsSeries = async (beneficiaryId, { period, timezone, start, end, keys }) => {
+  const buckets = await Commission.aggregate([
+    { $match: { beneficiaryId: new mongoose.Types.ObjectId(beneficiaryId), createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: getBucketExpression('$createdAt', period, timezone),
+        earnings: { $sum: '$amount' },
+        commission: { $sum: { $cond: [{ $gt: ['$generation', null] }, '$amount', 0] } },
+        count: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const byKey = new Map(buckets.map(b => [b._id, b]));
+  return keys.map(key => ({
+    period: key,
+    earnings: roundCurrency(byKey.get(key)?.earnings || 0),
+    commission: roundCurrency(byKey.get(key)?.commission || 0),
+    count: byKey.get(key)?.count || 0
+  }));
+};
+
+module.exports = {
+  calculateOrderCommissions,
+  recordOrderCommissions,
+  reverseOrderCommissions,
+  createManualEntry,
+  syncTotalEarnings,
+  getEarningsSeries
+};
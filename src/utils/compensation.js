@@ -0,0 +1,365 @@
+const CompensationPlan = require('../models/CompensationPlan');
+const Commission = require('../models/Commission');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { ApiError } = require('./errors');
+const { roundCurrency } = require('./money');
+
+const MAX_GENERATIONS = 20;
+const MAX_SIMULATION_ORDERS = 20000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Check a plan definition for inconsistencies, returning a list of problems
+const validatePlanDefinition = (definition) => {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return ['Plan definition is required'];
+  }
+
+  const generations = definition.generations || [];
+  if (!Array.isArray(generations) || generations.length === 0) {
+    errors.push('At least one generation rule is required');
+  } else {
+    const seen = new Set();
+    generations.forEach((rule, index) => {
+      if (!Number.isInteger(rule.generation) || rule.generation < 1 || rule.generation > MAX_GENERATIONS) {
+        errors.push(`generations[${index}].generation must be an integer between 1 and ${MAX_GENERATIONS}`);
+      } else if (seen.has(rule.generation)) {
+        errors.push(`generations[${index}].generation ${rule.generation} is duplicated`);
+      } else {
+        seen.add(rule.generation);
+      }
+      if (typeof rule.rate !== 'number' || rule.rate < 0 || rule.rate > 1) {
+        errors.push(`generations[${index}].rate must be between 0 and 1`);
+      }
+      if (rule.minPersonalVolume !== undefined && !(rule.minPersonalVolume >= 0)) {
+        errors.push(`generations[${index}].minPersonalVolume must be a positive number`);
+      }
+    });
+
+    const totalRate = generations.reduce((sum, rule) => sum + (Number(rule.rate) || 0), 0);
+    if (totalRate > 1) {
+      errors.push('The sum of generation rates cannot exceed 100%');
+    }
+  }
+
+  const caps = definition.caps || {};
+  if (caps.maxPayoutRatio !== undefined && caps.maxPayoutRatio !== null && !(caps.maxPayoutRatio >= 0 && caps.maxPayoutRatio <= 1)) {
+    errors.push('caps.maxPayoutRatio must be between 0 and 1');
+  }
+  ['maxPerEntry', 'maxPerBeneficiaryMonthly'].forEach(cap => {
+    if (caps[cap] !== undefined && caps[cap] !== null && !(caps[cap] >= 0)) {
+      errors.push(`caps.${cap} must be a positive number`);
+    }
+  });
+
+  const qualification = definition.qualification || {};
+  if (qualification.minPersonalVolume !== undefined && !(qualification.minPersonalVolume >= 0)) {
+    errors.push('qualification.minPersonalVolume must be a positive number');
+  }
+  if (qualification.personalVolumeDays !== undefined && !(Number.isInteger(qualification.personalVolumeDays) && qualification.personalVolumeDays >= 1)) {
+    errors.push('qualification.personalVolumeDays must be a positive integer');
+  }
+
+  const roles = definition.eligibleRoles;
+  if (roles !== undefined && (!Array.isArray(roles) || roles.some(role => !['admin', 'ambassador', 'client'].includes(role)))) {
+    errors.push('eligibleRoles contains an invalid role');
+  }
+
+  return errors;
+};
+
+// Apply a plan definition to an order total and its ordered beneficiaries.
+// Each beneficiary carries: id, generation, role, status, personalVolume, monthlyEarnings.
+const computePlanPayouts = (definition, { orderTotal, beneficiaries }) => {
+  const rules = new Map((definition.generations || []).map(rule => [rule.generation, rule]));
+  const caps = definition.caps || {};
+  const qualification = definition.qualification || {};
+  const eligibleRoles = definition.eligibleRoles && definition.eligibleRoles.length > 0
+    ? definition.eligibleRoles
+    : ['ambassador'];
+  const requireActive = qualification.requireActive !== false;
+
+  let remainingPool = typeof caps.maxPayoutRatio === 'number'
+    ? roundCurrency(orderTotal * caps.maxPayoutRatio)
+    : Infinity;
+
+  const payouts = [];
+  for (const beneficiary of beneficiaries) {
+    const rule = rules.get(beneficiary.generation);
+    if (!rule || rule.rate <= 0) continue;
+    if (!eligibleRoles.includes(beneficiary.role)) continue;
+    if (requireActive && beneficiary.status !== 'active') continue;
+
+    const minPersonalVolume = rule.minPersonalVolume !== undefined && rule.minPersonalVolume !== null
+      ? rule.minPersonalVolume
+      : (qualification.minPersonalVolume || 0);
+    if ((beneficiary.personalVolume || 0) < minPersonalVolume) continue;
+
+    let amount = roundCurrency(orderTotal * rule.rate);
+    let capped = false;
+
+    if (typeof caps.maxPerEntry === 'number' && amount > caps.maxPerEntry) {
+      amount = caps.maxPerEntry;
+      capped = true;
+    }
+
+    if (typeof caps.maxPerBeneficiaryMonthly === 'number') {
+      const headroom = Math.max(0, caps.maxPerBeneficiaryMonthly - (beneficiary.monthlyEarnings || 0));
+      if (amount > headroom) {
+        amount = headroom;
+        capped = true;
+      }
+    }
+
+    if (amount > remainingPool) {
+      amount = remainingPool;
+      capped = true;
+    }
+
+    amount = roundCurrency(amount);
+    if (amount <= 0) continue;
+
+    remainingPool = roundCurrency(remainingPool - amount);
+    payouts.push({
+      beneficiaryId: beneficiary.id,
+      generation: beneficiary.generation,
+      rate: rule.rate,
+      amount,
+      capped
+    });
+  }
+
+  return payouts;
+};
+
+// Legacy calculation used when no plan is active: each ambassador earns their own commissionRate
+const computeFlatPayouts = ({ orderTotal, beneficiaries }) => {
+  return beneficiaries
+    .filter(b => b.role === 'ambassador' && b.status === 'active')
+    .map(b => ({
+      beneficiaryId: b.id,
+      generation: b.generation,
+      rate: b.commissionRate || 0,
+      amount: roundCurrency(orderTotal * (b.commissionRate || 0)),
+      capped: false
+    }))
+    .filter(p => p.amount > 0);
+};
+
+// Load the buyer's ancestors with the figures the plan needs to qualify them
+const loadBeneficiaries = async (buyer, { at = new Date(), definition = null, session = null } = {}) => {
+  const ancestorIds = buyer.getAncestorIds();
+  if (ancestorIds.length === 0) return [];
+
+  const ancestors = await User.find({ _id: { $in: ancestorIds } })
+    .select('role status commissionRate')
+    .session(session);
+  const ancestorsById = new Map(ancestors.map(a => [a._id.toString(), a]));
+
+  const volumeDays = definition?.qualification?.personalVolumeDays || 30;
+  const volumeSince = new Date(at.getTime() - volumeDays * DAY_MS);
+  const monthStart = new Date(at.getFullYear(), at.getMonth(), 1);
+
+  const personalVolumes = await Order.aggregate([
+    {
+      $match: {
+        userId: { $in: ancestorIds },
+        status: { $in: Order.PURCHASED_STATUSES },
+        paidAt: { $gte: volumeSince, $lte: at }
+      }
+    },
+    { $group: { _id: '$userId', total: { $sum: '$total' } } }
+  ]).session(session);
+  const volumeById = new Map(personalVolumes.map(v => [v._id.toString(), v.total]));
+
+  const monthlyEarnings = await Commission.aggregate([
+    {
+      $match: {
+        beneficiaryId: { $in: ancestorIds },
+        generation: { $exists: true },
+        createdAt: { $gte: monthStart, $lte: at }
+      }
+    },
+    { $group: { _id: '$beneficiaryId', total: { $sum: '$amount' } } }
+  ]).session(session);
+  const earningsById = new Map(monthlyEarnings.map(e => [e._id.toString(), e.total]));
+
+  return ancestorIds
+    .map((id, index) => {
+      const ancestor = ancestorsById.get(id.toString());
+      if (!ancestor) return null;
+      return {
+        id: ancestor._id,
+        generation: index + 1,
+        role: ancestor.role,
+        status: ancestor.status,
+        commissionRate: ancestor.commissionRate,
+        personalVolume: volumeById.get(id.toString()) || 0,
+        monthlyEarnings: earningsById.get(id.toString()) || 0
+      };
+    })
+    .filter(Boolean);
+};
+
+// Evaluate an order against a plan (the active one by default, flat rates if none is active)
+const evaluateOrder = async (order, { plan, session = null } = {}) => {
+  const buyer = await User.findById(order.userId).session(session);
+  if (!buyer) return { plan: null, payouts: [] };
+
+  if (plan === undefined) {
+    plan = await CompensationPlan.getActive().session(session);
+  }
+
+  const at = order.paidAt || new Date();
+  const definition = plan ? plan.definition : null;
+  const beneficiaries = await loadBeneficiaries(buyer, { at, definition, session });
+  const payouts = definition
+    ? computePlanPayouts(definition, { orderTotal: order.total, beneficiaries })
+    : computeFlatPayouts({ orderTotal: order.total, beneficiaries });
+
+  return { plan, buyer, payouts };
+};
+
+const monthKey = (id, date) => `${id}|${date.getFullYear()}-${date.getMonth()}`;
+
+// Replay the purchases paid in [from, to] through a candidate plan against the current genealogy
+// and compare the result with the flat commissionRate calculation. Nothing is persisted.
+const simulatePlan = async (definition, { from, to }) => {
+  const match = {
+    status: { $in: Order.PURCHASED_STATUSES },
+    paidAt: { $gte: from, $lte: to }
+  };
+
+  const orderCount = await Order.countDocuments(match);
+  if (orderCount > MAX_SIMULATION_ORDERS) {
+    throw new ApiError(400, 'Date range too large', 'Intervallo di date troppo ampio');
+  }
+
+  const orders = await Order.find(match)
+    .select('userId total paidAt')
+    .sort({ paidAt: 1 })
+    .lean();
+
+  // Current genealogy of every buyer and their ancestors
+  const buyers = await User.find({ _id: { $in: [...new Set(orders.map(o => o.userId.toString()))] } })
+    .select('sponsorId upline');
+  const buyersById = new Map(buyers.map(b => [b._id.toString(), b]));
+
+  const ancestorIds = new Set();
+  buyers.forEach(buyer => buyer.getAncestorIds().forEach(id => ancestorIds.add(id.toString())));
+
+  const ancestors = await User.find({ _id: { $in: [...ancestorIds] } })
+    .select('firstName lastName email ambassadorCode role status commissionRate')
+    .lean();
+  const ancestorsById = new Map(ancestors.map(a => [a._id.toString(), a]));
+
+  // Personal purchases of ancestors, reaching back far enough for the qualification window
+  const volumeDays = definition.qualification?.personalVolumeDays || 30;
+  const ancestorOrders = await Order.find({
+    userId: { $in: [...ancestorIds] },
+    status: { $in: Order.PURCHASED_STATUSES },
+    paidAt: { $gte: new Date(from.getTime() - volumeDays * DAY_MS), $lte: to }
+  }).select('userId total paidAt').lean();
+
+  const purchasesByUser = new Map();
+  ancestorOrders.forEach(order => {
+    const key = order.userId.toString();
+    if (!purchasesByUser.has(key)) purchasesByUser.set(key, []);
+    purchasesByUser.get(key).push(order);
+  });
+
+  const personalVolumeAt = (userId, at) => {
+    const since = at.getTime() - volumeDays * DAY_MS;
+    return (purchasesByUser.get(userId) || [])
+      .filter(o => o.paidAt.getTime() >= since && o.paidAt.getTime() <= at.getTime())
+      .reduce((sum, o) => sum + o.total, 0);
+  };
+
+  const simulatedMonthly = new Map();
+  const results = new Map();
+  const resultFor = (id) => {
+    if (!results.has(id)) results.set(id, { baseline: 0, candidate: 0, orders: 0 });
+    return results.get(id);
+  };
+
+  for (const order of orders) {
+    const buyer = buyersById.get(order.userId.toString());
+    if (!buyer) continue;
+
+    const beneficiaries = buyer.getAncestorIds()
+      .map((id, index) => {
+        const ancestor = ancestorsById.get(id.toString());
+        if (!ancestor) return null;
+        return {
+          id: id.toString(),
+          generation: index + 1,
+          role: ancestor.role,
+          status: ancestor.status,
+          commissionRate: ancestor.commissionRate,
+          personalVolume: personalVolumeAt(id.toString(), order.paidAt),
+          monthlyEarnings: simulatedMonthly.get(monthKey(id, order.paidAt)) || 0
+        };
+      })
+      .filter(Boolean);
+
+    const baseline = computeFlatPayouts({ orderTotal: order.total, beneficiaries });
+    const candidate = computePlanPayouts(definition, { orderTotal: order.total, beneficiaries });
+
+    const touched = new Set();
+    baseline.forEach(payout => {
+      resultFor(payout.beneficiaryId).baseline += payout.amount;
+      touched.add(payout.beneficiaryId);
+    });
+    candidate.forEach(payout => {
+      resultFor(payout.beneficiaryId).candidate += payout.amount;
+      touched.add(payout.beneficiaryId);
+
+      const key = monthKey(payout.beneficiaryId, order.paidAt);
+      simulatedMonthly.set(key, (simulatedMonthly.get(key) || 0) + payout.amount);
+    });
+    touched.forEach(id => { resultFor(id).orders += 1; });
+  }
+
+  const ambassadors = Array.from(results, ([id, result]) => {
+    const ancestor = ancestorsById.get(id);
+    const baseline = roundCurrency(result.baseline);
+    const candidate = roundCurrency(result.candidate);
+    return {
+      id,
+      firstName: ancestor.firstName,
+      lastName: ancestor.lastName,
+      email: ancestor.email,
+      ambassadorCode: ancestor.ambassadorCode,
+      orders: result.orders,
+      baseline,
+      candidate,
+      delta: roundCurrency(candidate - baseline)
+    };
+  }).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+
+  const baselineTotal = roundCurrency(ambassadors.reduce((sum, a) => sum + a.baseline, 0));
+  const candidateTotal = roundCurrency(ambassadors.reduce((sum, a) => sum + a.candidate, 0));
+
+  return {
+    range: { from, to },
+    ordersEvaluated: orders.length,
+    salesVolume: roundCurrency(orders.reduce((sum, o) => sum + o.total, 0)),
+    totals: {
+      baseline: baselineTotal,
+      candidate: candidateTotal,
+      delta: roundCurrency(candidateTotal - baselineTotal)
+    },
+    ambassadors
+  };
+};
+
+module.exports = {
+  validatePlanDefinition,
+  computePlanPayouts,
+  computeFlatPayouts,
+  loadBeneficiaries,
+  evaluateOrder,
+  simulatePlan
+};
@@ -0,0 +1,201 @@
+const { ApiError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes accepted by time-series endpoints, with the default number of buckets shown
+const PERIODS = {
+  day: 30,
+  week: 12,
+  month: 12,
+  quarter: 8,
+  year: 5
+};
+
+const MAX_BUCKETS = 400;
+const DEFAULT_TIMEZONE = 'Europe/Rome';
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Profile timezone of a user, falling back to the default when unset or unknown
+const getUserTimezone = (user) => {
+  return user && user.timezone && isValidTimezone(user.timezone) ? user.timezone : DEFAULT_TIMEZONE;
+};
+
+// Calendar date and time of an instant in a timezone
+const getZonedParts = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const value = (type) => parseInt(parts.find(p => p.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second')
+  };
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getTimezoneOffset = (date, timezone) => {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// Instant of local midnight of a calendar date in a timezone
+const zonedMidnight = (year, month, day, timezone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - getTimezoneOffset(new Date(guess), timezone);
+  // Re-check the offset at the result in case a DST change falls in between
+  return new Date(guess - getTimezoneOffset(new Date(first), timezone));
+};
+
+// ISO week-numbering year and week of a calendar date
+const getIsoWeek = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const thursday = new Date(date.getTime() + (3 - ((date.getUTCDay() + 6) % 7)) * DAY_MS);
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return {
+    year: thursday.getUTCFullYear(),
+    week: Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7)
+  };
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+// Key of the bucket containing a calendar date; matches getBucketExpression
+const getBucketKey = ({ year, month, day }, period) => {
+  switch (period) {
+    case 'day':
+      return `${year}-${pad(month)}-${pad(day)}`;
+    case 'week': {
+      const iso = getIsoWeek(year, month, day);
+      return `${iso.year}-W${pad(iso.week)}`;
+    }
+    case 'quarter':
+      return `${year}-Q${Math.ceil(month / 3)}`;
+    case 'year':
+      return `${year}`;
+    default:
+      return `${year}-${pad(month)}`;
+  }
+};
+
+// Aggregation expression computing the bucket key of a date field in a timezone
+const getBucketExpression = (field, period, timezone) => {
+  if (period === 'quarter') {
+    return {
+      $let: {
+        vars: { parts: { $dateToParts: { date: field, timezone } } },
+        in: {
+          $concat: [
+            { $toString: '$$parts.year' },
+            '-Q',
+            { $toString: { $ceil: { $divide: ['$$parts.month', 3] } } }
+          ]
+        }
+      }
+    };
+  }
+
+  const formats = { day: '%Y-%m-%d', week: '%G-W%V', month: '%Y-%m', year: '%Y' };
+  return { $dateToString: { date: field, format: formats[period], timezone } };
+};
+
+// Parse a range boundary: plain dates are local midnights, anything else an instant
+const parseBoundary = (value, timezone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    return zonedMidnight(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), timezone);
+  }
+  return new Date(value);
+};
+
+// Validate a time-series query and resolve it to [start, end) with the list of bucket keys.
+// Without `from`, the range covers `count` buckets (the period's default) up to now.
+const resolveRange = ({ period = 'month', from, to, timezone = DEFAULT_TIMEZONE, count } = {}) => {
+  if (!PERIODS[period]) {
+    throw new ApiError(400, 'Invalid period', 'Periodo non valido');
+  }
+  if (!isValidTimezone(timezone)) {
+    throw new ApiError(400, 'Invalid timezone', 'Fuso orario non valido');
+  }
+
+  let end = new Date();
+  if (to) {
+    end = parseBoundary(to, timezone);
+    // A plain end date includes that whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      const p = getZonedParts(new Date(end.getTime() + 36 * 60 * 60 * 1000), timezone);
+      end = zonedMidnight(p.year, p.month, p.day, timezone);
+    }
+  }
+
+  let start;
+  if (from) {
+    start = parseBoundary(from, timezone);
+  } else {
+    const p = getZonedParts(new Date(end.getTime() - 1), timezone);
+    const back = Math.min(Math.max(parseInt(count) || PERIODS[period], 1), MAX_BUCKETS) - 1;
+    const weekday = (new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay() + 6) % 7;
+    const first = {
+      day: new Date(Date.UTC(p.year, p.month - 1, p.day - back)),
+      week: new Date(Date.UTC(p.year, p.month - 1, p.day - weekday - back * 7)),
+      month: new Date(Date.UTC(p.year, p.month - 1 - back, 1)),
+      quarter: new Date(Date.UTC(p.year, Math.floor((p.month - 1) / 3) * 3 - back * 3, 1)),
+      year: new Date(Date.UTC(p.year - back, 0, 1))
+    }[period];
+    start = zonedMidnight(first.getUTCFullYear(), first.getUTCMonth() + 1, first.getUTCDate(), timezone);
+  }
+
+  if (isNaN(start) || isNaN(end) || start >= end) {
+    throw new ApiError(400, 'Invalid date range', 'Intervallo di date non valido');
+  }
+
+  // Walk the local calendar day by day, collecting bucket keys in order
+  const keys = [];
+  const first = getZonedParts(start, timezone);
+  const last = getZonedParts(new Date(end.getTime() - 1), timezone);
+  const lastDay = Date.UTC(last.year, last.month - 1, last.day);
+  for (let day = Date.UTC(first.year, first.month - 1, first.day); day <= lastDay; day += DAY_MS) {
+    const date = new Date(day);
+    const key = getBucketKey({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() }, period);
+    if (keys[keys.length - 1] !== key) {
+      keys.push(key);
+      if (keys.length > MAX_BUCKETS) {
+        throw new ApiError(400, 'Date range too large for this period', 'Intervallo di date troppo ampio per questo periodo');
+      }
+    }
+  }
+
+  return { period, timezone, start, end, keys };
+};
+
+module.exports = {
+  PERIODS,
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getUserTimezone,
+  getZonedParts,
+  zonedMidnight,
+  getBucketKey,
+  getBucketExpression,
+  resolveRange
+};
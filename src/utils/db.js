@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Run a function inside a MongoDB transaction, retrying on transient errors
+const runInTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+module.exports = {
+  runInTransaction
+};
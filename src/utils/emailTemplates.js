@@ -0,0 +1,150 @@
+const company = require('../config/company');
+
+// Subject and paragraphs of each template, per language. The `action` paragraph
+// becomes a button in the HTML version.
+const TEMPLATES = {
+  emailVerification: {
+    it: (d) => ({
+      subject: `Conferma il tuo indirizzo email - ${d.companyName}`,
+      greeting: `Ciao ${d.firstName},`,
+      paragraphs: [`grazie per esserti registrato su ${d.companyName}. Conferma il tuo indirizzo email cliccando sul link qui sotto.`],
+      action: { label: 'Conferma email', url: d.url },
+      footer: `Il link scade tra ${d.ttlHours} ore. Se non hai richiesto la registrazione, ignora questa email.`
+    }),
+    en: (d) => ({
+      subject: `Confirm your email address - ${d.companyName}`,
+      greeting: `Hi ${d.firstName},`,
+      paragraphs: [`thanks for signing up to ${d.companyName}. Please confirm your email address using the link below.`],
+      action: { label: 'Confirm email', url: d.url },
+      footer: `The link expires in ${d.ttlHours} hours. If you did not sign up, please ignore this email.`
+    }),
+    es: (d) => ({
+      subject: `Confirma tu dirección de correo - ${d.companyName}`,
+      greeting: `Hola ${d.firstName},`,
+      paragraphs: [`gracias por registrarte en ${d.companyName}. Confirma tu dirección de correo con el enlace de abajo.`],
+      action: { label: 'Confirmar correo', url: d.url },
+      footer: `El enlace caduca en ${d.ttlHours} horas. Si no te has registrado, ignora este correo.`
+    }),
+    fr: (d) => ({
+      subject: `Confirmez votre adresse e-mail - ${d.companyName}`,
+      greeting: `Bonjour ${d.firstName},`,
+      paragraphs: [`merci de vous être inscrit sur ${d.companyName}. Veuillez confirmer votre adresse e-mail avec le lien ci-dessous.`],
+      action: { label: 'Confirmer l\'e-mail', url: d.url },
+      footer: `Le lien expire dans ${d.ttlHours} heures. Si vous ne vous êtes pas inscrit, ignorez cet e-mail.`
+    })
+  },
+  passwordReset: {
+    it: (d) => ({
+      subject: `Reimposta la tua password - ${d.companyName}`,
+      greeting: `Ciao ${d.firstName},`,
+      paragraphs: ['abbiamo ricevuto una richiesta di reimpostazione della password del tuo account.'],
+      action: { label: 'Reimposta password', url: d.url },
+      footer: `Il link scade tra ${d.ttlMinutes} minuti. Se non hai richiesto il reset, ignora questa email: la tua password resta invariata.`
+    }),
+    en: (d) => ({
+      subject: `Reset your password - ${d.companyName}`,
+      greeting: `Hi ${d.firstName},`,
+      paragraphs: ['we received a request to reset the password of your account.'],
+      action: { label: 'Reset password', url: d.url },
+      footer: `The link expires in ${d.ttlMinutes} minutes. If you did not ask for a reset, ignore this email: your password stays the same.`
+    }),
+    es: (d) => ({
+      subject: `Restablece tu contraseña - ${d.companyName}`,
+      greeting: `Hola ${d.firstName},`,
+      paragraphs: ['hemos recibido una solicitud para restablecer la contraseña de tu cuenta.'],
+      action: { label: 'Restablecer contraseña', url: d.url },
+      footer: `El enlace caduca en ${d.ttlMinutes} minutos. Si no lo has solicitado, ignora este correo: tu contraseña no cambia.`
+    }),
+    fr: (d) => ({
+      subject: `Réinitialisez votre mot de passe - ${d.companyName}`,
+      greeting: `Bonjour ${d.firstName},`,
+      paragraphs: ['nous avons reçu une demande de réinitialisation du mot de passe de votre compte.'],
+      action: { label: 'Réinitialiser le mot de passe', url: d.url },
+      footer: `Le lien expire dans ${d.ttlMinutes} minutes. Si vous n'avez rien demandé, ignorez cet e-mail : votre mot de passe reste inchangé.`
+    })
+  },
+  invitation: {
+    it: (d) => ({
+      subject: `Sei stato invitato su ${d.companyName}`,
+      greeting: `Ciao ${d.firstName},`,
+      paragraphs: [`${d.inviterName} ti ha invitato a unirti al team di ${d.companyName} come ${d.roleLabel}. Crea il tuo account con il link qui sotto.`],
+      action: { label: 'Accetta l\'invito', url: d.url },
+      footer: `L'invito scade tra ${d.ttlDays} giorni. Se non te lo aspettavi, ignora questa email.`
+    }),
+    en: (d) => ({
+      subject: `You have been invited to ${d.companyName}`,
+      greeting: `Hi ${d.firstName},`,
+      paragraphs: [`${d.inviterName} invited you to join the ${d.companyName} team as ${d.roleLabel}. Create your account using the link below.`],
+      action: { label: 'Accept invitation', url: d.url },
+      footer: `The invitation expires in ${d.ttlDays} days. If you were not expecting it, please ignore this email.`
+    }),
+    es: (d) => ({
+      subject: `Has sido invitado a ${d.companyName}`,
+      greeting: `Hola ${d.firstName},`,
+      paragraphs: [`${d.inviterName} te ha invitado a unirte al equipo de ${d.companyName} como ${d.roleLabel}. Crea tu cuenta con el enlace de abajo.`],
+      action: { label: 'Aceptar invitación', url: d.url },
+      footer: `La invitación caduca en ${d.ttlDays} días. Si no la esperabas, ignora este correo.`
+    }),
+    fr: (d) => ({
+      subject: `Vous êtes invité sur ${d.companyName}`,
+      greeting: `Bonjour ${d.firstName},`,
+      paragraphs: [`${d.inviterName} vous invite à rejoindre l'équipe ${d.companyName} en tant que ${d.roleLabel}. Créez votre compte avec le lien ci-dessous.`],
+      action: { label: 'Accepter l\'invitation', url: d.url },
+      footer: `L'invitation expire dans ${d.ttlDays} jours. Si vous ne l'attendiez pas, ignorez cet e-mail.`
+    })
+  }
+};
+
+// Role names used in email copy
+const ROLE_LABELS = {
+  admin: { it: 'amministratore', en: 'administrator', es: 'administrador', fr: 'administrateur' }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const renderText = (content) => [
+  content.greeting,
+  '',
+  ...content.paragraphs,
+  '',
+  ...(content.action ? [`${content.action.label}: ${content.action.url}`, ''] : []),
+  content.footer,
+  '',
+  `-- ${company.name}`
+].join('\n');
+
+const renderHtml = (content) => `<!DOCTYPE html>
+<html>
+<body style="font-family: Helvetica, Arial, sans-serif; color: #222222; max-width: 560px; margin: 0 auto; padding: 24px;">
+  <h2 style="color: ${company.brandColor};">${escapeHtml(company.name)}</h2>
+  <p>${escapeHtml(content.greeting)}</p>
+  ${content.paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n  ')}
+  ${content.action ? `<p style="margin: 32px 0;"><a href="${escapeHtml(content.action.url)}" style="background: ${company.brandColor}; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">${escapeHtml(content.action.label)}</a></p>` : ''}
+  <p style="font-size: 12px; color: #666666;">${escapeHtml(content.footer)}</p>
+</body>
+</html>`;
+
+// Render a template in a language, falling back to Italian
+const renderEmail = (template, language, data) => {
+  const variants = TEMPLATES[template];
+  if (!variants) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const content = (variants[language] || variants.it)(data);
+  return {
+    subject: content.subject,
+    text: renderText(content),
+    html: renderHtml(content)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  ROLE_LABELS,
+  renderEmail
+};
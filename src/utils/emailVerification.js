@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const mailConfig = require('../config/mail');
+const { ApiError } = require('./errors');
+const { sendTemplate, buildAppUrl } = require('./mailer');
+const { assertNotThrottled, issueUserToken, consumeUserToken, invalidateUserTokens } = require('./userTokens');
+
+const PURPOSE = 'email_verification';
+
+// Whether a verified email is required for an action ('login' or 'ambassador')
+const isVerificationRequired = (action) => mailConfig.verification.requiredFor.includes(action);
+
+const assertEmailVerified = (user, action) => {
+  if (isVerificationRequired(action) && !user.emailVerified) {
+    throw new ApiError(403, 'Email not verified', 'Email non verificata', { code: 'EMAIL_NOT_VERIFIED' });
+  }
+};
+
+// Email a verification link; `throttle` applies the resend limits
+const sendVerificationEmail = async (user, { throttle = false } = {}) => {
+  if (user.emailVerified) {
+    throw new ApiError(400, 'Email already verified', 'Email già verificata');
+  }
+
+  const { tokenTtlHours, resendIntervalSeconds, maxPerDay } = mailConfig.verification;
+  if (throttle) {
+    await assertNotThrottled(user._id, PURPOSE, { intervalSeconds: resendIntervalSeconds, maxPerDay });
+  }
+
+  const token = await issueUserToken(user._id, PURPOSE, tokenTtlHours * 60 * 60 * 1000);
+  await sendTemplate(user, 'emailVerification', {
+    url: buildAppUrl('/verify-email', { token }),
+    ttlHours: tokenTtlHours
+  });
+};
+
+// Mark the email of the token's owner as verified
+const verifyEmail = async (token) => {
+  const entry = await consumeUserToken(token, PURPOSE);
+  if (!entry) {
+    throw new ApiError(400, 'Invalid or expired token', 'Token non valido o scaduto');
+  }
+
+  const user = await User.findByIdAndUpdate(
+    entry.userId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  ).select('-password');
+
+  if (!user) {
+    throw new ApiError(400, 'Invalid or expired token', 'Token non valido o scaduto');
+  }
+
+  await invalidateUserTokens(user._id, PURPOSE);
+  return user;
+};
+
+module.exports = {
+  isVerificationRequired,
+  assertEmailVerified,
+  sendVerificationEmail,
+  verifyEmail
+};
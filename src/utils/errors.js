@@ -0,0 +1,24 @@
+// Error carrying an HTTP status and the bilingual payload returned by the API,
+// plus optional extra fields (e.g. retryAfter)
+class ApiError extends Error {
+  constructor(status, error, message, details = {}) {
+    super(error);
+    this.name = 'ApiError';
+    this.status = status;
+    this.error = error;
+    this.localizedMessage = message;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      error: this.error,
+      message: this.localizedMessage,
+      ...this.details
+    };
+  }
+}
+
+module.exports = {
+  ApiError
+};
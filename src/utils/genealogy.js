@@ -0,0 +1,338 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ApiError } = require('./errors');
+const { runInTransaction } = require('./db');
+
+// Genealogy is stored redundantly: sponsorId on each member is the source of truth,
+// mirrored by the sponsor's downline array and by the member's upline (every
+// ancestor, direct sponsor first) and level (number of ancestors).
+
+const sameIds = (a = [], b = []) => a.length === b.length && a.every((id, i) => String(id) === String(b[i]));
+
+// Ancestor ids of a member, direct sponsor first, following sponsorId in a single query
+const loadAncestorChain = async (userId, { session } = {}) => {
+  const [result] = await User.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(userId.toString()) } },
+    {
+      $graphLookup: {
+        from: User.collection.name,
+        startWith: '$sponsorId',
+        connectFromField: 'sponsorId',
+        connectToField: '_id',
+        as: 'ancestors',
+        depthField: 'depth'
+      }
+    },
+    { $project: { 'ancestors._id': 1, 'ancestors.sponsorId': 1, 'ancestors.depth': 1 } }
+  ]).session(session || null);
+
+  if (!result) return [];
+
+  const ancestors = result.ancestors.sort((a, b) => a.depth - b.depth);
+
+  // $graphLookup stops at members it has already visited, so on a cycle the topmost
+  // ancestor still points back into the chain
+  const top = ancestors[ancestors.length - 1];
+  if (top && top.sponsorId && (top.sponsorId.equals(userId) || ancestors.some(a => a._id.equals(top.sponsorId)))) {
+    throw new ApiError(409, 'Sponsor cycle detected', 'Rilevato un ciclo di sponsorizzazione', { code: 'SPONSOR_CYCLE' });
+  }
+
+  return ancestors.map(a => a._id);
+};
+
+// Create a member, optionally under a sponsor. The member (with its full ancestor chain)
+// and the sponsor's downline entry are written in one transaction; touching the sponsor
+// first makes a concurrent sponsor change of the same branch conflict and retry.
+// Members created before this kept the chain without their direct sponsor; the
+// genealogy:repair script rewrites them.
+const createMember = async (userData, sponsorId) => {
+  return runInTransaction(async (session) => {
+    const user = new User(userData);
+
+    if (sponsorId) {
+      const sponsor = await User.findOneAndUpdate(
+        { _id: sponsorId },
+        { $addToSet: { downline: user._id } },
+        { session, new: true, projection: { _id: 1 } }
+      );
+      if (!sponsor) {
+        throw new ApiError(400, 'Invalid sponsor code', 'Codice sponsor non valido');
+      }
+
+      const upline = [sponsor._id, ...await loadAncestorChain(sponsor._id, { session })];
+      user.sponsorId = sponsor._id;
+      user.upline = upline;
+      user.level = upline.length;
+    }
+
+    await user.save({ session });
+    return user;
+  });
+};
+
+// Work out a sponsor change without writing anything: the new upline and level of the
+// member and of everyone below them
+const planSponsorChange = async (userId, sponsorId, session) => {
+  const user = await User.findById(userId).select('firstName lastName email sponsorId upline level').session(session);
+  if (!user) {
+    throw new ApiError(404, 'User not found', 'Utente non trovato');
+  }
+
+  let sponsor = null;
+  if (sponsorId) {
+    sponsor = await User.findById(sponsorId).select('firstName lastName email ambassadorCode').session(session);
+    if (!sponsor) {
+      throw new ApiError(404, 'Sponsor not found', 'Sponsor non trovato');
+    }
+    if (sponsor._id.equals(user._id)) {
+      throw new ApiError(400, 'A user cannot sponsor themselves', 'Un utente non può essere il proprio sponsor');
+    }
+  }
+
+  if (String(user.sponsorId || '') === String(sponsor ? sponsor._id : '')) {
+    throw new ApiError(400, 'The user already has this sponsor', 'L\'utente ha già questo sponsor');
+  }
+
+  const sponsorChain = sponsor ? [sponsor._id, ...await loadAncestorChain(sponsor._id, { session })] : [];
+  if (sponsorChain.some(id => id.equals(user._id))) {
+    throw new ApiError(400, 'The new sponsor is in the user\'s downline', 'Il nuovo sponsor fa parte della downline dell\'utente', { code: 'SPONSOR_CYCLE' });
+  }
+
+  // Walk the subtree one level at a time, each member inheriting its sponsor's new chain
+  const chains = new Map([[user._id.toString(), sponsorChain]]);
+  const members = [{ member: user, upline: sponsorChain }];
+  let frontier = [user._id];
+
+  while (frontier.length) {
+    const children = await User.find({ sponsorId: { $in: frontier } })
+      .select('sponsorId upline level')
+      .session(session);
+    frontier = [];
+
+    children.forEach(child => {
+      const key = child._id.toString();
+      if (chains.has(key)) return;
+
+      const upline = [child.sponsorId, ...chains.get(child.sponsorId.toString())];
+      chains.set(key, upline);
+      members.push({ member: child, upline });
+      frontier.push(child._id);
+    });
+  }
+
+  const changes = members
+    .filter(({ member, upline }) => member.level !== upline.length || !sameIds(member.upline, upline))
+    .map(({ member, upline }) => ({
+      userId: member._id,
+      levelBefore: member.level,
+      levelAfter: upline.length,
+      upline
+    }));
+
+  return { user, sponsor, members, changes };
+};
+
+// Move a member (with their whole downline) under another sponsor, or to the top of the
+// tree when sponsorId is null. Commissions already generated keep the old genealogy.
+const changeSponsor = async (userId, sponsorId, { dryRun = false } = {}) => {
+  if (!mongoose.isValidObjectId(userId) || (sponsorId && !mongoose.isValidObjectId(sponsorId))) {
+    throw new ApiError(400, 'Invalid user id', 'ID utente non valido');
+  }
+
+  const summarize = ({ user, sponsor, members, changes }) => ({
+    userId: user._id,
+    fromSponsorId: user.sponsorId || null,
+    toSponsorId: sponsor ? sponsor._id : null,
+    sponsor,
+    moved: members.length,
+    updated: changes.length,
+    changes: changes.map(({ upline, ...change }) => change),
+    dryRun
+  });
+
+  if (dryRun) {
+    return summarize(await planSponsorChange(userId, sponsorId, null));
+  }
+
+  return runInTransaction(async (session) => {
+    const plan = await planSponsorChange(userId, sponsorId, session);
+    const { user, sponsor, changes } = plan;
+
+    if (user.sponsorId) {
+      await User.updateOne({ _id: user.sponsorId }, { $pull: { downline: user._id } }, { session });
+    }
+    if (sponsor) {
+      await User.updateOne({ _id: sponsor._id }, { $addToSet: { downline: user._id } }, { session });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      sponsor ? { $set: { sponsorId: sponsor._id } } : { $unset: { sponsorId: 1 } },
+      { session }
+    );
+
+    if (changes.length) {
+      await User.bulkWrite(changes.map(change => ({
+        updateOne: {
+          filter: { _id: change.userId },
+          update: { $set: { upline: change.upline, level: change.levelAfter } }
+        }
+      })), { session });
+    }
+
+    return summarize(plan);
+  });
+};
+
+// Expected ancestor chain of every member, following sponsorId. Members on a sponsor
+// cycle, or below one, get null: their chain cannot be derived.
+const computeChains = (usersById) => {
+  const chains = new Map();
+
+  usersById.forEach((user, key) => {
+    if (chains.has(key)) return;
+
+    // Climb until a member with a known chain (or the top), then fill in on the way down
+    const path = [];
+    const onPath = new Set();
+    let current = key;
+    while (current && !chains.has(current) && !onPath.has(current)) {
+      path.push(current);
+      onPath.add(current);
+      const sponsorId = usersById.get(current).sponsorId;
+      current = sponsorId && usersById.has(sponsorId.toString()) ? sponsorId.toString() : null;
+    }
+
+    let chain = current ? chains.get(current) : [];
+    if (current && onPath.has(current)) chain = null;
+
+    for (let i = path.length - 1; i >= 0; i--) {
+      const sponsorId = usersById.get(path[i]).sponsorId;
+      const hasSponsor = sponsorId && usersById.has(sponsorId.toString());
+      chain = chain && (hasSponsor ? [sponsorId, ...chain] : []);
+      chains.set(path[i], chain);
+    }
+  });
+
+  return chains;
+};
+
+// Scan every member for genealogy inconsistencies and, with repair, rewrite the redundant
+// fields from sponsorId. Issue types: orphan (sponsor does not exist), cycle,
+// missing_downline, extra_downline, duplicate_downline, wrong_level, upline_order and
+// wrong_upline. Cycles are only reported: breaking one needs a sponsor change. Members
+// changed while the scan ran are skipped and reported as such.
+const checkGenealogy = async ({ repair = false } = {}) => {
+  const users = await User.find({}).select('sponsorId upline downline level').lean();
+  const usersById = new Map(users.map(u => [u._id.toString(), u]));
+
+  const issues = [];
+  const report = (type, user, details = {}) => issues.push({ type, userId: user._id, ...details });
+
+  // Orphans become top-level members
+  const sponsorOf = new Map();
+  const orphans = new Set();
+  users.forEach(user => {
+    if (!user.sponsorId) return;
+    if (usersById.has(user.sponsorId.toString())) {
+      sponsorOf.set(user._id.toString(), user.sponsorId.toString());
+    } else {
+      report('orphan', user, { sponsorId: user.sponsorId });
+      orphans.add(user._id.toString());
+    }
+  });
+
+  const children = new Map();
+  sponsorOf.forEach((sponsorKey, key) => {
+    if (!children.has(sponsorKey)) children.set(sponsorKey, []);
+    children.get(sponsorKey).push(key);
+  });
+
+  const chains = computeChains(usersById);
+  const updates = [];
+
+  users.forEach(user => {
+    const key = user._id.toString();
+    const set = {};
+    const unset = {};
+
+    if (orphans.has(key)) unset.sponsorId = 1;
+
+    // Downline: exactly the members naming this one as sponsor
+    const actual = (user.downline || []).map(id => id.toString());
+    const expected = children.get(key) || [];
+    const missing = expected.filter(id => !actual.includes(id));
+    const extra = actual.filter(id => sponsorOf.get(id) !== key);
+    const duplicates = actual.filter((id, i) => actual.indexOf(id) !== i);
+
+    if (missing.length) report('missing_downline', user, { memberIds: missing });
+    if (extra.length) report('extra_downline', user, { memberIds: [...new Set(extra)] });
+    if (duplicates.length) report('duplicate_downline', user, { memberIds: [...new Set(duplicates)] });
+    if (missing.length || extra.length || duplicates.length) {
+      set.downline = [...new Set(actual.filter(id => !extra.includes(id))), ...missing];
+    }
+
+    const chain = chains.get(key);
+    if (!chain) {
+      report('cycle', user, { sponsorId: user.sponsorId });
+    } else {
+      const upline = (user.upline || []).map(id => id.toString());
+      const expectedUpline = chain.map(id => id.toString());
+
+      if (user.level !== chain.length) {
+        report('wrong_level', user, { level: user.level, expected: chain.length });
+        set.level = chain.length;
+      }
+      if (!sameIds(upline, expectedUpline)) {
+        const sameMembers = upline.length === expectedUpline.length && expectedUpline.every(id => upline.includes(id));
+        report(sameMembers ? 'upline_order' : 'wrong_upline', user, { upline, expected: expectedUpline });
+        set.upline = chain;
+      }
+    }
+
+    const update = {};
+    if (Object.keys(set).length) update.$set = set;
+    if (Object.keys(unset).length) update.$unset = unset;
+    if (Object.keys(update).length) {
+      // Only write over the values that were read (null also matches a missing field): a
+      // signup or sponsor change since the scan leaves the member untouched, for the next run
+      const filter = {
+        _id: user._id,
+        sponsorId: user.sponsorId ?? null,
+        upline: user.upline ?? null,
+        downline: user.downline ?? null,
+        level: user.level ?? null
+      };
+      updates.push({ updateOne: { filter, update } });
+    }
+  });
+
+  // Every update is derived from sponsorId alone, so an interrupted repair can simply be rerun
+  let repaired = 0;
+  let skipped = 0;
+  if (repair && updates.length) {
+    const result = await User.bulkWrite(updates, { ordered: false });
+    repaired = result.modifiedCount;
+    skipped = updates.length - result.matchedCount;
+  }
+
+  const counts = {};
+  issues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+
+  return {
+    scanned: users.length,
+    issueCount: issues.length,
+    counts,
+    issues,
+    repaired,
+    skipped,
+    repair
+  };
+};
+
+module.exports = {
+  loadAncestorChain,
+  createMember,
+  changeSponsor,
+  checkGenealogy
+};
@@ -0,0 +1,182 @@
+const jwt = require('jsonwebtoken');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const registrationConfig = require('../config/registration');
+const { ApiError } = require('./errors');
+const { sendTemplate, buildAppUrl } = require('./mailer');
+const { ROLE_LABELS } = require('./emailTemplates');
+const { normalizePhoneField } = require('./phone');
+const { runInTransaction } = require('./db');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const AUDIENCE = 'invitation';
+const MIN_PASSWORD_LENGTH = 6;
+
+const getSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const invalidInvitation = () => new ApiError(400, 'Invalid or expired invitation', 'Invito non valido o scaduto');
+
+// Signed link token. It carries the email and role so the frontend can show them;
+// `v` ties it to the latest send of the invitation.
+const signInvitationToken = (invitation) => jwt.sign(
+  {
+    invitationId: invitation._id,
+    email: invitation.email,
+    role: invitation.role,
+    v: invitation.sendCount
+  },
+  getSecret(),
+  {
+    audience: AUDIENCE,
+    expiresIn: Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000))
+  }
+);
+
+// (Re)send an invitation with a fresh link and expiry
+const sendInvitation = async (invitation, inviter) => {
+  const { ttlDays } = registrationConfig.invitations;
+
+  invitation.sendCount += 1;
+  invitation.lastSentAt = new Date();
+  invitation.expiresAt = new Date(Date.now() + ttlDays * DAY_MS);
+  await invitation.save();
+
+  const token = signInvitationToken(invitation);
+  const language = invitation.language;
+
+  await sendTemplate(
+    { email: invitation.email, firstName: invitation.firstName, language },
+    'invitation',
+    {
+      url: buildAppUrl('/accept-invite', { token }),
+      ttlDays,
+      inviterName: inviter.getFullName(),
+      roleLabel: (ROLE_LABELS[invitation.role] || {})[language] || invitation.role
+    }
+  );
+
+  return invitation;
+};
+
+// Invite someone to a staff role; earlier pending invitations for the same email are revoked
+const createInvitation = async ({ email, role, firstName, lastName, language }, inviter) => {
+  if (!email || !role || !firstName || !lastName) {
+    throw new ApiError(400, 'Missing required fields', 'Campi obbligatori mancanti');
+  }
+  if (!Invitation.INVITABLE_ROLES.includes(role)) {
+    throw new ApiError(400, 'Invalid role', 'Ruolo non valido');
+  }
+  if (await User.findByEmail(email)) {
+    throw new ApiError(400, 'User already exists', 'Utente già esistente');
+  }
+
+  await Invitation.updateMany(
+    { email: email.toLowerCase().trim(), acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: inviter._id }
+  );
+
+  const invitation = new Invitation({
+    email,
+    role,
+    firstName,
+    lastName,
+    language,
+    invitedBy: inviter._id
+  });
+
+  return sendInvitation(invitation, inviter);
+};
+
+const resendInvitation = async (invitationId, inviter) => {
+  const invitation = await Invitation.findById(invitationId);
+  if (!invitation) {
+    throw new ApiError(404, 'Invitation not found', 'Invito non trovato');
+  }
+  // Expired invitations can be sent again; accepted and revoked ones can't
+  if (invitation.acceptedAt || invitation.revokedAt) {
+    throw new ApiError(400, 'Invitation is no longer valid', 'L\'invito non è più valido');
+  }
+
+  return sendInvitation(invitation, inviter);
+};
+
+const revokeInvitation = async (invitationId, revokedBy) => {
+  const invitation = await Invitation.findOneAndUpdate(
+    { _id: invitationId, acceptedAt: null, revokedAt: null },
+    { revokedAt: new Date(), revokedBy },
+    { new: true }
+  );
+  if (!invitation) {
+    throw new ApiError(400, 'Invitation is no longer valid', 'L\'invito non è più valido');
+  }
+  return invitation;
+};
+
+// Pending invitation of a link token
+const resolveInvitation = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ''), getSecret(), { audience: AUDIENCE });
+  } catch (error) {
+    throw invalidInvitation();
+  }
+
+  const invitation = await Invitation.findById(payload.invitationId);
+  if (!invitation || invitation.getStatus() !== 'pending' || invitation.sendCount !== payload.v) {
+    throw invalidInvitation();
+  }
+  return invitation;
+};
+
+// Create the invited account; returns it with the accepted invitation. Receiving the
+// link proves the email address, so the account starts verified and active.
+const acceptInvitation = async (token, { password, firstName, lastName, phone }) => {
+  const invitation = await resolveInvitation(token);
+
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, `La password deve contenere almeno ${MIN_PASSWORD_LENGTH} caratteri`);
+  }
+  if (await User.findByEmail(invitation.email)) {
+    throw new ApiError(400, 'User already exists', 'Utente già esistente');
+  }
+
+  const userData = {
+    email: invitation.email,
+    password,
+    firstName: firstName || invitation.firstName,
+    lastName: lastName || invitation.lastName,
+    phone,
+    role: invitation.role,
+    status: 'active',
+    language: invitation.language,
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  };
+  normalizePhoneField(userData);
+
+  return runInTransaction(async (session) => {
+    // Claim the invitation first so it can't be redeemed twice
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { acceptedAt: new Date() },
+      { new: true, session }
+    );
+    if (!claimed) throw invalidInvitation();
+
+    const user = new User(userData);
+    await user.save({ session });
+
+    claimed.userId = user._id;
+    await claimed.save({ session });
+
+    return { user, invitation: claimed };
+  });
+};
+
+module.exports = {
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  resolveInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,275 @@
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const company = require('../config/company');
+const { ApiError } = require('./errors');
+const { roundCurrency } = require('./money');
+const { runInTransaction } = require('./db');
+const {
+  formatCurrency,
+  formatDate,
+  formatNumber,
+  createDocument,
+  drawHeader,
+  drawSectionTitle,
+  drawKeyValues,
+  drawTable,
+  drawPageNumbers,
+  toBuffer
+} = require('./pdf');
+
+const FISCAL_TIMEZONE = 'Europe/Rome';
+
+// Fiscal year of a date in Italian local time
+const getFiscalYear = (date) => {
+  return parseInt(new Intl.DateTimeFormat('en', { year: 'numeric', timeZone: FISCAL_TIMEZONE }).format(date));
+};
+
+const buildSeller = () => ({
+  legalName: company.legalName,
+  vatNumber: company.vatNumber,
+  taxCode: company.taxCode,
+  rea: company.rea,
+  pec: company.pec,
+  email: company.email,
+  address: company.address
+});
+
+const buildCustomer = (order, user) => ({
+  name: user ? `${user.firstName} ${user.lastName}` : '',
+  email: user?.email,
+  taxCode: user?.taxCode,
+  vatNumber: user?.vatNumber,
+  code: user?.clientCode || user?.ambassadorCode,
+  address: (user && user.address && user.address.street) ? user.address : order.shippingAddress
+});
+
+// Split VAT-inclusive order lines into net and VAT amounts, grouped by rate
+const buildLines = (order) => {
+  const lines = order.items.map(item => {
+    const vatRate = item.vatRate ?? 0.22;
+    const net = roundCurrency(item.total / (1 + vatRate));
+    return {
+      sku: item.sku,
+      description: item.name,
+      quantity: item.quantity,
+      unitNetPrice: roundCurrency(item.unitPrice / (1 + vatRate)),
+      vatRate,
+      net,
+      vat: roundCurrency(item.total - net),
+      gross: item.total
+    };
+  });
+
+  const byRate = new Map();
+  lines.forEach(line => {
+    const group = byRate.get(line.vatRate) || { vatRate: line.vatRate, gross: 0 };
+    group.gross += line.gross;
+    byRate.set(line.vatRate, group);
+  });
+
+  const groups = Array.from(byRate.values()).sort((a, b) => b.vatRate - a.vatRate);
+
+  // Spread a voucher discount across rates proportionally to their gross amount
+  const discount = order.discount || 0;
+  if (discount > 0) {
+    const grossTotal = groups.reduce((sum, group) => sum + group.gross, 0);
+    let remaining = discount;
+    groups.forEach((group, index) => {
+      const share = index === groups.length - 1
+        ? remaining
+        : roundCurrency(discount * group.gross / grossTotal);
+      group.gross = roundCurrency(group.gross - share);
+      remaining = roundCurrency(remaining - share);
+    });
+  }
+
+  // Compute VAT on the per-rate total to avoid rounding drift across lines
+  const vatBreakdown = groups
+    .map(group => {
+      const taxable = roundCurrency(group.gross / (1 + group.vatRate));
+      return {
+        vatRate: group.vatRate,
+        taxable,
+        vat: roundCurrency(group.gross - taxable)
+      };
+    });
+
+  const net = roundCurrency(vatBreakdown.reduce((sum, group) => sum + group.taxable, 0));
+  const vat = roundCurrency(vatBreakdown.reduce((sum, group) => sum + group.vat, 0));
+
+  return {
+    lines,
+    vatBreakdown,
+    totals: { discount, net, vat, gross: roundCurrency(net + vat) }
+  };
+};
+
+// Issue the fiscal document of a paid order (idempotent, numbered per fiscal year)
+const issueInvoice = async (order, { session = null } = {}) => {
+  const existing = await Invoice.findOne({ orderId: order._id }).session(session);
+  if (existing) return existing;
+
+  const user = await User.findById(order.userId).session(session);
+  const issueDate = order.paidAt || new Date();
+  const fiscalYear = getFiscalYear(issueDate);
+  const { sequence, invoiceNumber } = await Invoice.nextNumber(fiscalYear, session);
+  const customer = buildCustomer(order, user);
+
+  const [invoice] = await Invoice.create([{
+    invoiceNumber,
+    fiscalYear,
+    sequence,
+    type: customer.taxCode || customer.vatNumber ? 'invoice' : 'receipt',
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    userId: order.userId,
+    issueDate,
+    seller: buildSeller(),
+    customer,
+    ...buildLines(order),
+    currency: order.currency
+  }], { session });
+
+  return invoice;
+};
+
+// Refresh seller/customer data and lines of an invoice, keeping its number and issue date.
+// Runs in a transaction so a concurrent first issue cannot consume a second number.
+const regenerateInvoice = async (orderId, { regeneratedBy } = {}) => {
+  return runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+    if (!order) {
+      throw new ApiError(404, 'Order not found', 'Ordine non trovato');
+    }
+
+    const invoice = await Invoice.findOne({ orderId: order._id }).session(session);
+    if (!invoice) {
+      if (!order.isPurchased()) {
+        throw new ApiError(400, 'Order has not been paid', 'Ordine non ancora pagato');
+      }
+      return issueInvoice(order, { session });
+    }
+
+    const user = await User.findById(order.userId).session(session);
+    const customer = buildCustomer(order, user);
+    const { lines, vatBreakdown, totals } = buildLines(order);
+
+    invoice.type = customer.taxCode || customer.vatNumber ? 'invoice' : 'receipt';
+    invoice.seller = buildSeller();
+    invoice.customer = customer;
+    invoice.lines = lines;
+    invoice.vatBreakdown = vatBreakdown;
+    invoice.totals = totals;
+    invoice.revision += 1;
+    invoice.regeneratedAt = new Date();
+    invoice.regeneratedBy = regeneratedBy;
+    await invoice.save({ session });
+
+    return invoice;
+  });
+};
+
+const formatAddress = (address = {}) => {
+  return [
+    address.street,
+    [address.zipCode, address.city, address.state ? `(${address.state})` : ''].filter(Boolean).join(' '),
+    address.country
+  ].filter(Boolean);
+};
+
+// Render an invoice or receipt PDF (Italian, as required for fiscal documents)
+const renderInvoice = async (invoice) => {
+  const money = (amount) => formatCurrency(amount, 'it', invoice.currency);
+  const percent = (rate) => formatNumber(rate, 'it', { style: 'percent', maximumFractionDigits: 2 });
+  const title = invoice.type === 'invoice' ? 'Fattura' : 'Ricevuta';
+  const seller = invoice.seller || {};
+
+  const doc = createDocument({ title: `${title} ${invoice.invoiceNumber}`, subject: title });
+
+  drawHeader(doc, {
+    title: `${title} n. ${invoice.invoiceNumber}`,
+    subtitle: `Data: ${formatDate(invoice.issueDate, 'it', FISCAL_TIMEZONE)} - Ordine ${invoice.orderNumber}`,
+    companyLines: [
+      seller.legalName,
+      ...formatAddress(seller.address),
+      seller.vatNumber ? `P.IVA ${seller.vatNumber}` : '',
+      seller.taxCode && seller.taxCode !== seller.vatNumber ? `C.F. ${seller.taxCode}` : '',
+      seller.rea ? `REA ${seller.rea}` : '',
+      seller.pec ? `PEC ${seller.pec}` : ''
+    ]
+  });
+
+  const customer = invoice.customer || {};
+  drawSectionTitle(doc, 'Cliente');
+  drawKeyValues(doc, [
+    ['Nominativo', customer.name || '-'],
+    ['Indirizzo', formatAddress(customer.address).join(', ') || '-'],
+    ...(customer.taxCode ? [['Codice fiscale', customer.taxCode]] : []),
+    ...(customer.vatNumber ? [['Partita IVA', customer.vatNumber]] : []),
+    ...(customer.code ? [['Codice cliente', customer.code]] : []),
+    ...(customer.email ? [['Email', customer.email]] : [])
+  ]);
+
+  drawSectionTitle(doc, 'Dettaglio');
+  drawTable(doc, {
+    columns: [
+      { label: 'Codice', width: 1 },
+      { label: 'Descrizione', width: 2.6 },
+      { label: 'Q.tà', width: 0.6, align: 'right' },
+      { label: 'Prezzo unit.', width: 1.1, align: 'right' },
+      { label: 'IVA', width: 0.6, align: 'right' },
+      { label: 'Imponibile', width: 1.1, align: 'right' },
+      { label: 'Totale', width: 1.1, align: 'right' }
+    ],
+    rows: invoice.lines.map(line => [
+      line.sku || '',
+      line.description,
+      line.quantity,
+      money(line.unitNetPrice),
+      percent(line.vatRate),
+      money(line.net),
+      money(line.gross)
+    ])
+  });
+
+  drawSectionTitle(doc, 'Riepilogo IVA');
+  drawTable(doc, {
+    columns: [
+      { label: 'Aliquota', width: 1 },
+      { label: 'Imponibile', width: 1, align: 'right' },
+      { label: 'Imposta', width: 1, align: 'right' }
+    ],
+    rows: invoice.vatBreakdown.map(group => [
+      percent(group.vatRate),
+      money(group.taxable),
+      money(group.vat)
+    ])
+  });
+
+  doc.moveDown();
+  drawKeyValues(doc, [
+    ...(invoice.totals.discount > 0 ? [['Sconto (IVA inclusa)', `- ${money(invoice.totals.discount)}`]] : []),
+    ['Totale imponibile', money(invoice.totals.net)],
+    ['Totale IVA', money(invoice.totals.vat)],
+    ['Totale documento', money(invoice.totals.gross)]
+  ], { bold: ['Totale documento'] });
+
+  if (invoice.revision > 0) {
+    doc.moveDown();
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555')
+      .text(`Documento rigenerato il ${formatDate(invoice.regeneratedAt, 'it', FISCAL_TIMEZONE)} (revisione ${invoice.revision}).`);
+  }
+
+  drawPageNumbers(doc, 'Pagina');
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  getFiscalYear,
+  buildLines,
+  issueInvoice,
+  regenerateInvoice,
+  renderInvoice
+};
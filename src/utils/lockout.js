@@ -0,0 +1,346 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const lockoutConfig = require('../config/lockout');
+const { ApiError } = require('./errors');
+
+// Stores share one interface:
+//   get(key) -> record | null
+//   increment(key, { scope, type, identifier, windowMs }) -> record (starts a new window when
+//     the previous one or its lockout is over), with previousAttemptAt set to the
+//     lastAttemptAt it replaced (null on a new window)
+//   release(key) -> takes one attempt back off the count
+//   lock(key, until)
+//   list({ scope, type, identifier, lockedOnly, skip, limit }) -> { entries, total }
+//   clear({ key, scope, type, identifier }) -> number of records removed
+// Records: { key, scope, type, identifier, count, firstAttemptAt, lastAttemptAt, lockedUntil, expiresAt }
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const matchesFilter = (record, filter) => ['key', 'scope', 'type', 'identifier']
+  .every(field => !filter[field] || record[field] === filter[field]);
+
+// Per-process store; counts are lost on restart and not shared between instances
+const createMemoryStore = () => {
+  const records = new Map();
+  let lastPrune = 0;
+
+  const prune = (now) => {
+    if (now - lastPrune < PRUNE_INTERVAL_MS) return;
+    lastPrune = now;
+    for (const [key, record] of records) {
+      if (record.expiresAt <= now) records.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => {
+      const record = records.get(key);
+      if (!record || record.expiresAt <= new Date()) return null;
+      return { ...record };
+    },
+    increment: async (key, { scope, type, identifier, windowMs }) => {
+      const now = new Date();
+      prune(now.getTime());
+
+      const current = records.get(key);
+      const reset = !current ||
+        current.firstAttemptAt < new Date(now.getTime() - windowMs) ||
+        (current.lockedUntil && current.lockedUntil <= now);
+
+      const record = reset
+        ? { key, scope, type, identifier, count: 1, firstAttemptAt: now, lockedUntil: null }
+        : { ...current, count: current.count + 1 };
+      record.previousAttemptAt = reset ? null : current.lastAttemptAt;
+      record.lastAttemptAt = now;
+      record.expiresAt = new Date(Math.max(
+        now.getTime() + windowMs,
+        record.lockedUntil ? record.lockedUntil.getTime() : 0
+      ));
+
+      records.set(key, record);
+      return { ...record };
+    },
+    release: async (key) => {
+      const record = records.get(key);
+      if (record && record.count > 0) record.count--;
+    },
+    lock: async (key, until) => {
+      const record = records.get(key);
+      if (!record) return;
+      record.lockedUntil = until;
+      record.expiresAt = new Date(Math.max(record.expiresAt.getTime(), until.getTime()));
+    },
+    list: async ({ lockedOnly, skip = 0, limit = 50, ...filter }) => {
+      const now = new Date();
+      const entries = [...records.values()]
+        .filter(record => record.expiresAt > now && matchesFilter(record, filter))
+        .filter(record => !lockedOnly || (record.lockedUntil && record.lockedUntil > now))
+        .sort((a, b) => b.lastAttemptAt - a.lastAttemptAt);
+      return {
+        entries: entries.slice(skip, skip + limit).map(record => ({ ...record })),
+        total: entries.length
+      };
+    },
+    clear: async (filter) => {
+      let removed = 0;
+      for (const [key, record] of records) {
+        if (matchesFilter(record, filter)) {
+          records.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+  };
+};
+
+// Shared store backed by the LoginAttempt collection; expired records are purged by a TTL index
+const createMongoStore = () => {
+  const toFilter = ({ key, scope, type, identifier }) => {
+    const filter = { expiresAt: { $gt: new Date() } };
+    if (key) filter.key = key;
+    if (scope) filter.scope = scope;
+    if (type) filter.type = type;
+    if (identifier) filter.identifier = identifier;
+    return filter;
+  };
+
+  return {
+    name: 'mongo',
+    get: async (key) => LoginAttempt.findOne(toFilter({ key })).lean(),
+    increment: async (key, { scope, type, identifier, windowMs }) => {
+      const now = new Date();
+      // Pipeline update so the window check and the increment happen atomically
+      return LoginAttempt.findOneAndUpdate({ key }, [
+        {
+          $set: {
+            reset: {
+              $or: [
+                { $lt: ['$firstAttemptAt', new Date(now.getTime() - windowMs)] },
+                { $and: [{ $ifNull: ['$lockedUntil', false] }, { $lte: ['$lockedUntil', now] }] }
+              ]
+            }
+          }
+        },
+        {
+          $set: {
+            scope,
+            type,
+            identifier,
+            count: { $cond: ['$reset', 1, { $add: ['$count', 1] }] },
+            firstAttemptAt: { $cond: ['$reset', now, '$firstAttemptAt'] },
+            lockedUntil: { $cond: ['$reset', null, '$lockedUntil'] },
+            previousAttemptAt: { $cond: ['$reset', null, '$lastAttemptAt'] },
+            lastAttemptAt: now,
+            expiresAt: {
+              $max: [
+                new Date(now.getTime() + windowMs),
+                { $cond: ['$reset', now, { $ifNull: ['$lockedUntil', now] }] }
+              ]
+            }
+          }
+        },
+        { $unset: 'reset' }
+      ], { upsert: true, new: true }).lean();
+    },
+    release: async (key) => {
+      await LoginAttempt.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    },
+    lock: async (key, until) => {
+      await LoginAttempt.updateOne({ key }, [
+        { $set: { lockedUntil: until, expiresAt: { $max: ['$expiresAt', until] } } }
+      ]);
+    },
+    list: async ({ lockedOnly, skip = 0, limit = 50, ...filter }) => {
+      const query = toFilter(filter);
+      if (lockedOnly) query.lockedUntil = { $gt: new Date() };
+
+      const [entries, total] = await Promise.all([
+        LoginAttempt.find(query).sort({ lastAttemptAt: -1 }).skip(skip).limit(limit).lean(),
+        LoginAttempt.countDocuments(query)
+      ]);
+      return { entries, total };
+    },
+    clear: async (filter) => {
+      const result = await LoginAttempt.deleteMany(toFilter(filter));
+      return result.deletedCount;
+    }
+  };
+};
+
+const STORES = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store = null;
+
+const getLockoutStore = () => {
+  if (!store) {
+    const factory = STORES[lockoutConfig.store];
+    if (!factory) {
+      throw new Error(`Unknown lockout store: ${lockoutConfig.store}`);
+    }
+    store = factory();
+  }
+  return store;
+};
+
+// Replace the store (e.g. with one backed by Redis)
+const setLockoutStore = (custom) => {
+  store = custom;
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+// Keys tracked for a request: the account (email) and the client IP
+const getKeys = (scope, { email, ip }) => {
+  const limits = lockoutConfig.scopes[scope];
+  if (!limits) throw new Error(`Unknown lockout scope: ${scope}`);
+
+  return [['account', email && normalizeEmail(email)], ['ip', ip]]
+    .filter(([, identifier]) => identifier)
+    .map(([type, identifier]) => ({
+      key: `${scope}:${type}:${identifier}`,
+      type,
+      identifier,
+      limits: limits[type]
+    }));
+};
+
+// Wait required before the next attempt after `count` failures
+const getDelaySeconds = (count) => {
+  const { freeAttempts, baseSeconds, maxSeconds } = lockoutConfig.delay;
+  if (count < freeAttempts) return 0;
+  return Math.min(baseSeconds * 2 ** (count - freeAttempts), maxSeconds);
+};
+
+const lockKey = async (key, limits, count) => {
+  const until = new Date(Date.now() + limits.lockMinutes * MINUTE_MS);
+  await getLockoutStore().lock(key, until);
+  console.warn(`🔒 Locked ${key} for ${limits.lockMinutes} minutes after ${count} attempts`);
+  return until;
+};
+
+const tooManyAttempts = (until, now) => new ApiError(429, 'Too many failed attempts, try again later', 'Troppi tentativi falliti, riprova più tardi', {
+  retryAfter: Math.ceil((until.getTime() - now) / 1000),
+  code: 'ACCOUNT_LOCKED'
+});
+
+// Count an attempt on the account and IP before it is checked, so concurrent requests
+// can't all pass on the same count. The attempt is refused while a key is locked, past
+// its limit or still waiting out its delay, and then given back. The error doesn't
+// say which key, nor whether the account exists. Returns the reservation, to hand to
+// registerFailure when the attempt fails or to releaseAttempt when it doesn't.
+const reserveAttempt = async (scope, identity) => {
+  const keys = [];
+  for (const { key, type, identifier, limits } of getKeys(scope, identity)) {
+    const record = await getLockoutStore().increment(key, {
+      scope,
+      type,
+      identifier,
+      windowMs: limits.windowMinutes * MINUTE_MS
+    });
+    keys.push({ key, limits, record });
+  }
+
+  const reservation = { keys };
+  const now = Date.now();
+
+  for (const { key, limits, record } of keys) {
+    let error = null;
+    const previous = record.previousAttemptAt;
+    const wait = previous ? previous.getTime() + getDelaySeconds(record.count - 1) * 1000 - now : 0;
+
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+      error = tooManyAttempts(record.lockedUntil, now);
+    } else if (record.count > limits.maxAttempts) {
+      // Requests racing past the limit lock the key themselves
+      error = tooManyAttempts(await lockKey(key, limits, record.count), now);
+    } else if (wait > 0) {
+      error = new ApiError(429, 'Please wait before trying again', 'Attendi prima di riprovare', {
+        retryAfter: Math.ceil(wait / 1000),
+        code: 'RETRY_LATER'
+      });
+    }
+
+    if (error) {
+      await releaseAttempt(reservation);
+      throw error;
+    }
+  }
+
+  return reservation;
+};
+
+// Keep a reserved attempt as a failure (for forgot_password, every attempt), locking
+// keys that reached their limit
+const registerFailure = async ({ keys }) => {
+  for (const { key, limits, record } of keys) {
+    if (record.count >= limits.maxAttempts) {
+      await lockKey(key, limits, record.count);
+    }
+  }
+};
+
+// Give a reserved attempt back when it didn't fail (right password, expired challenge...)
+const releaseAttempt = async ({ keys }) => {
+  for (const { key } of keys) {
+    await getLockoutStore().release(key);
+  }
+};
+
+// Forget an account's failures after a successful attempt; the IP keeps its count
+const clearFailures = (scope, { email }) => {
+  if (!email) return Promise.resolve(0);
+  return getLockoutStore().clear({ key: `${scope}:account:${normalizeEmail(email)}` });
+};
+
+// Tracked keys for the admin view, newest first
+const listLockouts = async ({ scope, type, identifier, lockedOnly = true, skip, limit } = {}) => {
+  const now = new Date();
+  const { entries, total } = await getLockoutStore().list({
+    scope,
+    type,
+    identifier: identifier && identifier.includes('@') ? normalizeEmail(identifier) : identifier,
+    lockedOnly,
+    skip,
+    limit
+  });
+
+  return {
+    total,
+    entries: entries.map(record => ({
+      scope: record.scope,
+      type: record.type,
+      identifier: record.identifier,
+      failedAttempts: record.count,
+      firstAttemptAt: record.firstAttemptAt,
+      lastAttemptAt: record.lastAttemptAt,
+      locked: Boolean(record.lockedUntil && record.lockedUntil > now),
+      lockedUntil: record.lockedUntil || null
+    }))
+  };
+};
+
+// Remove tracked failures and lockouts for an account and/or IP (all scopes unless given)
+const clearLockouts = async ({ scope, email, ip }) => {
+  let cleared = 0;
+  if (email) cleared += await getLockoutStore().clear({ scope, type: 'account', identifier: normalizeEmail(email) });
+  if (ip) cleared += await getLockoutStore().clear({ scope, type: 'ip', identifier: ip });
+  return cleared;
+};
+
+module.exports = {
+  getLockoutStore,
+  setLockoutStore,
+  getDelaySeconds,
+  reserveAttempt,
+  registerFailure,
+  releaseAttempt,
+  clearFailures,
+  listLockouts,
+  clearLockouts
+};
@@ -0,0 +1,250 @@
+const mongoose = require('mongoose');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const User = require('../models/User');
+const Voucher = require('../models/Voucher');
+const loyalty = require('../config/loyalty');
+const { ApiError } = require('./errors');
+const { runInTransaction } = require('./db');
+const { roundCurrency } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Point totals of a user by ledger type
+const getPointsSummary = async (userId, session = null) => {
+  const totals = await LoyaltyTransaction.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $group: { _id: '$type', points: { $sum: '$points' } } }
+  ]).session(session);
+
+  const byType = { earned: 0, redeemed: 0, expired: 0, adjusted: 0 };
+  totals.forEach(t => { byType[t._id] = t.points; });
+
+  return {
+    totalPoints: byType.earned,
+    availablePoints: byType.earned + byType.redeemed + byType.expired + byType.adjusted,
+    redeemedPoints: -byType.redeemed,
+    expiredPoints: -byType.expired,
+    adjustedPoints: byType.adjusted
+  };
+};
+
+// Tier from the points earned over the configured window
+const getTier = async (userId, session = null) => {
+  const since = new Date(Date.now() - loyalty.tierWindowDays * DAY_MS);
+  const result = await LoyaltyTransaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(userId),
+        createdAt: { $gte: since },
+        $or: [{ type: 'earned' }, { type: 'adjusted', orderId: { $exists: true } }]
+      }
+    },
+    { $group: { _id: null, points: { $sum: '$points' } } }
+  ]).session(session);
+
+  const points = Math.max(0, result[0]?.points || 0);
+  const index = loyalty.tiers.findIndex(tier => points >= tier.minPoints);
+  const tier = loyalty.tiers[index];
+  const next = index > 0 ? loyalty.tiers[index - 1] : null;
+
+  return {
+    tier: tier.name,
+    points,
+    nextTier: next ? { name: next.name, pointsNeeded: next.minPoints - points } : null
+  };
+};
+
+// Write off earned points past their expiry date that have not been spent yet. Always runs
+// in a transaction that touches the user, so concurrent calls conflict and retry against
+// the new ledger instead of writing off the same points twice.
+const expireUserPoints = async (userId, session = null) => {
+  if (!session) {
+    return runInTransaction(txSession => expireUserPoints(userId, txSession));
+  }
+
+  await User.updateOne({ _id: userId }, { $currentDate: { updatedAt: true } }, { session });
+
+  const now = new Date();
+  const entries = await LoyaltyTransaction.find({ userId })
+    .select('type points expiresAt')
+    .session(session);
+
+  const expiredCredits = entries
+    .filter(e => e.type === 'earned' && e.expiresAt && e.expiresAt <= now)
+    .reduce((sum, e) => sum + e.points, 0);
+  // Debits consume the oldest points first
+  const debits = -entries
+    .filter(e => e.points < 0)
+    .reduce((sum, e) => sum + e.points, 0);
+  const balance = entries.reduce((sum, e) => sum + e.points, 0);
+
+  const due = Math.min(Math.max(0, expiredCredits - debits), balance);
+  if (due <= 0) return null;
+
+  const [entry] = await LoyaltyTransaction.create([{
+    userId,
+    type: 'expired',
+    points: -due,
+    description: 'Punti scaduti'
+  }], { session });
+
+  return entry;
+};
+
+// Expire points for every user holding expired credits
+const expireAllPoints = async () => {
+  const userIds = await LoyaltyTransaction.distinct('userId', {
+    type: 'earned',
+    expiresAt: { $lte: new Date() }
+  });
+
+  let expired = 0;
+  for (const userId of userIds) {
+    const entry = await runInTransaction(session => expireUserPoints(userId, session));
+    if (entry) expired += 1;
+  }
+
+  return { usersChecked: userIds.length, usersExpired: expired };
+};
+
+// Credit points for a newly paid client order (idempotent per order)
+const awardOrderPoints = async (order, session) => {
+  const buyer = await User.findById(order.userId).select('role').session(session);
+  if (!buyer || buyer.role !== 'client') return null;
+
+  const points = Math.floor(order.total * loyalty.pointsPerEuro);
+  if (points <= 0) return null;
+
+  const existing = await LoyaltyTransaction.exists({ orderId: order._id, type: 'earned' }).session(session);
+  if (existing) return null;
+
+  const earnedAt = order.paidAt || new Date();
+  const [entry] = await LoyaltyTransaction.create([{
+    userId: order.userId,
+    type: 'earned',
+    points,
+    orderId: order._id,
+    description: `Acquisto ordine ${order.orderNumber}`,
+    expiresAt: new Date(earnedAt.getTime() + loyalty.expiryDays * DAY_MS)
+  }], { session });
+
+  return entry;
+};
+
+// Take back the points of a cancelled order
+const revokeOrderPoints = async (order, session, createdBy = null) => {
+  const earned = await LoyaltyTransaction.findOne({ orderId: order._id, type: 'earned' }).session(session);
+  if (!earned) return null;
+
+  const revoked = await LoyaltyTransaction.exists({ orderId: order._id, type: 'adjusted' }).session(session);
+  if (revoked) return null;
+
+  const [entry] = await LoyaltyTransaction.create([{
+    userId: order.userId,
+    type: 'adjusted',
+    points: -earned.points,
+    orderId: order._id,
+    description: `Storno ordine ${order.orderNumber}`,
+    createdBy
+  }], { session });
+
+  return entry;
+};
+
+// Convert points into a discount voucher
+const redeemPoints = async (userId, points) => {
+  points = parseInt(points);
+  if (!Number.isInteger(points) || points < loyalty.minRedeemPoints) {
+    throw new ApiError(400, `At least ${loyalty.minRedeemPoints} points required`, `Sono necessari almeno ${loyalty.minRedeemPoints} punti`);
+  }
+
+  return runInTransaction(async (session) => {
+    // Touch the user so concurrent redemptions conflict and retry against the new balance
+    await User.updateOne({ _id: userId }, { $currentDate: { updatedAt: true } }, { session });
+
+    await expireUserPoints(userId, session);
+    const { availablePoints } = await getPointsSummary(userId, session);
+    if (availablePoints < points) {
+      throw new ApiError(400, 'Insufficient points', 'Punti insufficienti');
+    }
+
+    const amount = roundCurrency(points * loyalty.pointValue);
+    const [voucher] = await Voucher.create([{
+      code: await Voucher.generateCode(session),
+      userId,
+      amount,
+      pointsRedeemed: points,
+      expiresAt: new Date(Date.now() + loyalty.voucherValidityDays * DAY_MS)
+    }], { session });
+
+    await LoyaltyTransaction.create([{
+      userId,
+      type: 'redeemed',
+      points: -points,
+      voucherId: voucher._id,
+      description: `Buono sconto ${voucher.code}`
+    }], { session });
+
+    return voucher;
+  });
+};
+
+// Manual credit or debit by an admin
+const adjustPoints = async ({ userId, points, description, createdBy }) => {
+  points = parseInt(points);
+  if (!Number.isInteger(points) || points === 0) {
+    throw new ApiError(400, 'Invalid points', 'Punti non validi');
+  }
+  if (!mongoose.isValidObjectId(userId) || !(await User.exists({ _id: userId }))) {
+    throw new ApiError(404, 'User not found', 'Utente non trovato');
+  }
+
+  return LoyaltyTransaction.create({
+    userId,
+    type: 'adjusted',
+    points,
+    description,
+    createdBy
+  });
+};
+
+// Reserve a voucher for an order inside the checkout transaction
+const useVoucher = async (code, userId, orderId, session) => {
+  if (typeof code !== 'string') {
+    throw new ApiError(400, 'Invalid voucher code', 'Codice buono non valido');
+  }
+
+  const voucher = await Voucher.findOneAndUpdate(
+    { code: code.toUpperCase(), userId, status: 'active', expiresAt: { $gt: new Date() } },
+    { status: 'used', usedAt: new Date(), orderId },
+    { new: true, session }
+  );
+
+  if (!voucher) {
+    throw new ApiError(400, 'Invalid or expired voucher', 'Buono non valido o scaduto');
+  }
+
+  return voucher;
+};
+
+// Give a voucher back when its order is cancelled
+const releaseVoucher = async (voucherId, session) => {
+  await Voucher.updateOne(
+    { _id: voucherId, status: 'used' },
+    { status: 'active', $unset: { usedAt: 1, orderId: 1 } },
+    { session }
+  );
+};
+
+module.exports = {
+  getPointsSummary,
+  getTier,
+  expireUserPoints,
+  expireAllPoints,
+  awardOrderPoints,
+  revokeOrderPoints,
+  redeemPoints,
+  adjustPoints,
+  useVoucher,
+  releaseVoucher
+};
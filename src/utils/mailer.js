@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mailConfig = require('../config/mail');
+const company = require('../config/company');
+const { renderEmail } = require('./emailTemplates');
+
+// Transports share one interface: send({ from, to, subject, text, html }) -> { messageId }
+const createSmtpTransport = () => {
+  // Loaded only when SMTP is the configured transport
+  const nodemailer = require('nodemailer');
+  const { host, port, secure, user, pass } = mailConfig.smtp;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Writes each message as a JSON file, for local development and manual inspection
+const createFileTransport = () => ({
+  name: 'file',
+  send: async (message) => {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.mkdir(mailConfig.fileDir, { recursive: true });
+    await fs.writeFile(
+      path.join(mailConfig.fileDir, `${messageId}.json`),
+      JSON.stringify({ ...message, date: new Date() }, null, 2)
+    );
+    return { messageId };
+  }
+});
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+});
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const factory = TRANSPORTS[mailConfig.transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with a custom provider)
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({ from: mailConfig.from, to, subject, text, html });
+};
+
+// Send a localized template to a user, in the user's language
+const sendTemplate = (user, template, data = {}) => {
+  const { subject, text, html } = renderEmail(template, user.language, {
+    firstName: user.firstName,
+    companyName: company.name,
+    ...data
+  });
+  return sendMail({ to: user.email, subject, text, html });
+};
+
+// Frontend link for an email action
+const buildAppUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, mailConfig.appUrl);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  getTransport,
+  setTransport,
+  sendMail,
+  sendTemplate,
+  buildAppUrl
+};
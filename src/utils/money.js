@@ -0,0 +1,8 @@
+// Round an amount to cents
+const roundCurrency = (amount) => {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+};
+
+module.exports = {
+  roundCurrency
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const networkConfig = require('../config/network');
+const { ApiError } = require('./errors');
+const { loadAncestorChain } = require('./genealogy');
+const { getDefaultWindow } = require('./ranks');
+const { roundCurrency } = require('./money');
+
+const NODE_FIELDS = { firstName: 1, lastName: 1, email: 1, role: 1, status: 1, level: 1, sponsorId: 1, ambassadorCode: 1, createdAt: 1 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Requested depth, clamped to the configured limits
+const resolveDepth = (depth) => {
+  const value = parseInt(depth);
+  if (!value || value < 1) return networkConfig.defaultDepth;
+  return Math.min(value, networkConfig.maxDepth);
+};
+
+// Subtree size, active members, direct members and group volume (own purchases plus the
+// whole subtree's, over the rank window) of each node below rootId. Subtree members are
+// found through the indexed upline array and joined to their own orders by userId/paidAt,
+// so the work is bounded by the size of the subtree, not by the company's order volume.
+const computeNodeStats = async (rootId, nodeIds, { start, end }) => {
+  const rows = await User.aggregate([
+    { $match: { $or: [{ _id: rootId }, { upline: rootId }] } },
+    { $project: { upline: 1, sponsorId: 1, status: 1 } },
+    {
+      $lookup: {
+        from: Order.collection.name,
+        localField: '_id',
+        foreignField: 'userId',
+        pipeline: [
+          { $match: { status: { $in: Order.PURCHASED_STATUSES }, paidAt: { $gte: start, $lt: end } } },
+          { $group: { _id: null, volume: { $sum: '$total' } } }
+        ],
+        as: 'purchases'
+      }
+    },
+    {
+      $project: {
+        sponsorId: 1,
+        status: 1,
+        volume: { $ifNull: [{ $first: '$purchases.volume' }, 0] },
+        // The member itself and every ancestor it counts towards
+        node: { $concatArrays: [['$_id'], { $ifNull: ['$upline', []] }] }
+      }
+    },
+    { $unwind: '$node' },
+    { $match: { node: { $in: nodeIds } } },
+    {
+      $group: {
+        _id: '$node',
+        subtreeSize: { $sum: { $cond: [{ $eq: ['$_id', '$node'] }, 0, 1] } },
+        activeCount: {
+          $sum: { $cond: [{ $and: [{ $ne: ['$_id', '$node'] }, { $eq: ['$status', 'active'] }] }, 1, 0] }
+        },
+        directCount: { $sum: { $cond: [{ $eq: ['$sponsorId', '$node'] }, 1, 0] } },
+        groupVolume: { $sum: '$volume' }
+      }
+    }
+  ]);
+
+  const stats = new Map(nodeIds.map(id => [id.toString(), { subtreeSize: 0, activeCount: 0, directCount: 0, groupVolume: 0 }]));
+  rows.forEach(({ _id, groupVolume, ...counts }) => {
+    Object.assign(stats.get(_id.toString()), counts, { groupVolume: roundCurrency(groupVolume) });
+  });
+
+  return stats;
+};
+
+// First `limit` direct members (newest first) of every sponsor of a level, in one query
+const loadChildren = async (sponsorIds, limit) => {
+  const groups = await User.aggregate([
+    { $match: { sponsorId: { $in: sponsorIds } } },
+    { $project: NODE_FIELDS },
+    { $group: { _id: '$sponsorId', members: { $topN: { n: limit, sortBy: { createdAt: -1 }, output: '$$ROOT' } } } }
+  ]);
+
+  return new Map(groups.map(group => [group._id.toString(), group.members]));
+};
+
+const toNode = (member) => ({
+  id: member._id,
+  firstName: member.firstName,
+  lastName: member.lastName,
+  email: member.email,
+  role: member.role,
+  status: member.status,
+  level: member.level,
+  ambassadorCode: member.ambassadorCode,
+  createdAt: member.createdAt,
+  // null: not loaded yet, request the node by id
+  children: null
+});
+
+// Tree below a node of the owner's network (the owner by default), up to `depth` levels.
+// The node's direct members are paged; below them each member shows at most
+// childrenLimit children, one query per level, and loading stops at maxNodes so the
+// response stays bounded however wide the network is. Branches left out have
+// children: null (or hasMoreChildren) and are loaded by nodeId.
+const getNetworkTree = async (ownerId, { nodeId, depth, page = 1, limit } = {}) => {
+  const maxDepth = resolveDepth(depth);
+  const { childrenLimit, maxNodes } = networkConfig;
+  const pageSize = Math.min(parseInt(limit) || childrenLimit, childrenLimit);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const rootId = nodeId || ownerId;
+
+  if (!mongoose.isValidObjectId(rootId)) {
+    throw new ApiError(400, 'Invalid node id', 'ID nodo non valido');
+  }
+
+  // A node belongs to the network when the owner is one of its ancestors
+  if (!ownerId.equals(rootId)) {
+    const ancestors = await loadAncestorChain(rootId);
+    if (!ancestors.some(id => id.equals(ownerId))) {
+      throw new ApiError(404, 'Member not found in your network', 'Membro non trovato nella tua rete');
+    }
+  }
+
+  const rootMember = await User.findById(rootId).select(NODE_FIELDS).lean();
+  if (!rootMember) {
+    throw new ApiError(404, 'Member not found in your network', 'Membro non trovato nella tua rete');
+  }
+
+  const [directMembers, total] = await Promise.all([
+    User.find({ sponsorId: rootMember._id })
+      .select(NODE_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    User.countDocuments({ sponsorId: rootMember._id })
+  ]);
+
+  const root = toNode(rootMember);
+  root.children = directMembers.map(toNode);
+  const nodes = [root, ...root.children];
+
+  let frontier = root.children;
+  for (let level = 1; level < maxDepth && frontier.length && nodes.length < maxNodes; level++) {
+    const childrenBySponsor = await loadChildren(frontier.map(node => node.id), childrenLimit);
+    const next = [];
+
+    for (const node of frontier) {
+      const members = childrenBySponsor.get(node.id.toString()) || [];
+      if (nodes.length + members.length > maxNodes) break;
+
+      node.children = members.map(toNode);
+      nodes.push(...node.children);
+      next.push(...node.children);
+    }
+
+    frontier = next;
+  }
+
+  const window = getDefaultWindow();
+  const stats = await computeNodeStats(rootMember._id, nodes.map(node => node.id), window);
+
+  nodes.forEach(node => {
+    node.stats = stats.get(node.id.toString());
+    if (node.children === null && !node.stats.directCount) node.children = [];
+    node.hasMoreChildren = node !== root && node.children !== null && node.stats.directCount > node.children.length;
+  });
+
+  return {
+    root,
+    depth: maxDepth,
+    maxDepth: networkConfig.maxDepth,
+    window: { start: window.start, end: window.end },
+    pagination: {
+      page: pageNumber,
+      limit: pageSize,
+      total,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+// Members of the owner's network whose name, email or code matches a search term
+const searchNetwork = async (owner, query) => {
+  const term = typeof query === 'string' ? query.trim() : '';
+  if (term.length < 2) {
+    throw new ApiError(400, 'Search term must be at least 2 characters', 'Il termine di ricerca deve contenere almeno 2 caratteri');
+  }
+
+  const pattern = new RegExp(escapeRegex(term), 'i');
+  const members = await User.find({
+    upline: owner._id,
+    $or: [
+      { firstName: pattern },
+      { lastName: pattern },
+      { email: pattern },
+      { ambassadorCode: pattern },
+      { clientCode: pattern }
+    ]
+  })
+    .select(Object.keys(NODE_FIELDS).join(' '))
+    .sort({ level: 1, lastName: 1 })
+    .limit(networkConfig.searchLimit)
+    .lean();
+
+  return members.map(member => ({
+    id: member._id,
+    firstName: member.firstName,
+    lastName: member.lastName,
+    email: member.email,
+    role: member.role,
+    status: member.status,
+    ambassadorCode: member.ambassadorCode,
+    sponsorId: member.sponsorId,
+    // Levels below the owner
+    depth: member.level - owner.level
+  }));
+};
+
+module.exports = {
+  getNetworkTree,
+  searchNetwork
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { ApiError } = require('./errors');
+const { runInTransaction } = require('./db');
+const { roundCurrency } = require('./money');
+const { recordOrderCommissions, reverseOrderCommissions } = require('./commissions');
+const { issueInvoice } = require('./invoices');
+const { awardOrderPoints, revokeOrderPoints, useVoucher, releaseVoucher } = require('./loyalty');
+
+// Merge duplicate products and validate requested quantities
+const normalizeItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, 'Order items required', 'Articoli dell\'ordine richiesti');
+  }
+
+  const quantities = new Map();
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    if (!mongoose.isValidObjectId(item.productId) || !Number.isInteger(quantity) || quantity < 1) {
+      throw new ApiError(400, 'Invalid order item', 'Articolo dell\'ordine non valido');
+    }
+    const key = item.productId.toString();
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  }
+
+  return Array.from(quantities, ([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Create a pending order, reserving stock for every line item and redeeming an optional voucher
+const createOrder = async (user, items, { shippingAddress, notes, voucherCode } = {}) => {
+  const requestedItems = normalizeItems(items);
+
+  return runInTransaction(async (session) => {
+    const lines = [];
+
+    for (const { productId, quantity } of requestedItems) {
+      const product = await Product.findOneAndUpdate(
+        { _id: productId, active: true, stock: { $gte: quantity } },
+        { $inc: { stock: -quantity } },
+        { new: true, session }
+      );
+
+      if (!product) {
+        throw new ApiError(400, 'Product unavailable', 'Prodotto non disponibile');
+      }
+
+      lines.push({
+        productId: product._id,
+        sku: product.sku,
+        name: product.name,
+        unitPrice: product.price,
+        vatRate: product.vatRate,
+        quantity,
+        total: roundCurrency(product.price * quantity)
+      });
+    }
+
+    const subtotal = roundCurrency(lines.reduce((sum, line) => sum + line.total, 0));
+    const orderId = new mongoose.Types.ObjectId();
+
+    let voucher = null;
+    let discount = 0;
+    if (voucherCode) {
+      voucher = await useVoucher(voucherCode, user._id, orderId, session);
+      discount = Math.min(voucher.amount, subtotal);
+    }
+
+    const orderNumber = await Order.generateOrderNumber(session);
+
+    const [order] = await Order.create([{
+      _id: orderId,
+      orderNumber,
+      userId: user._id,
+      items: lines,
+      subtotal,
+      discount,
+      voucherId: voucher?._id,
+      voucherCode: voucher?.code,
+      total: roundCurrency(subtotal - discount),
+      status: 'pending',
+      statusHistory: [{ status: 'pending', changedBy: user._id }],
+      shippingAddress: shippingAddress || user.address,
+      notes
+    }], { session });
+
+    return order;
+  });
+};
+
+// Move an order along its lifecycle, keeping stock, totalPurchases, commissions, loyalty points and invoices in sync
+const updateOrderStatus = async (orderId, status, { changedBy, note } = {}) => {
+  if (!Order.ORDER_STATUSES.includes(status)) {
+    throw new ApiError(400, 'Invalid status', 'Stato non valido');
+  }
+
+  return runInTransaction(async (session) => {
+    const order = await Order.findById(orderId).session(session);
+
+    if (!order) {
+      throw new ApiError(404, 'Order not found', 'Ordine non trovato');
+    }
+
+    if (!order.canTransitionTo(status)) {
+      throw new ApiError(400, 'Invalid status transition', 'Cambio di stato non consentito');
+    }
+
+    const wasPurchased = order.isPurchased();
+
+    order.status = status;
+    order[`${status}At`] = new Date();
+    order.statusHistory.push({ status, changedBy, note });
+    await order.save({ session });
+
+    if (!wasPurchased && order.isPurchased()) {
+      await User.updateOne(
+        { _id: order.userId },
+        { $inc: { totalPurchases: order.total } },
+        { session }
+      );
+      await recordOrderCommissions(order, session);
+      await awardOrderPoints(order, session);
+      await issueInvoice(order, { session });
+    }
+
+    if (status === 'cancelled') {
+      if (wasPurchased) {
+        await User.updateOne(
+          { _id: order.userId },
+          { $inc: { totalPurchases: -order.total } },
+          { session }
+        );
+        await reverseOrderCommissions(order, session, changedBy);
+        await revokeOrderPoints(order, session, changedBy);
+      }
+
+      if (order.voucherId) {
+        await releaseVoucher(order.voucherId, session);
+      }
+
+      // Release reserved stock
+      for (const item of order.items) {
+        await Product.updateOne(
+          { _id: item.productId },
+          { $inc: { stock: item.quantity } },
+          { session }
+        );
+      }
+    }
+
+    return order;
+  });
+};
+
+module.exports = {
+  createOrder,
+  updateOrderStatus
+};
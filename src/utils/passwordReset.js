@@ -0,0 +1,51 @@
+const User = require('../models/User');
+const mailConfig = require('../config/mail');
+const { ApiError } = require('./errors');
+const { sendTemplate, buildAppUrl } = require('./mailer');
+const { issueUserToken, consumeUserToken, invalidateUserTokens } = require('./userTokens');
+const { revokeUserSessions } = require('./sessions');
+
+const PURPOSE = 'password_reset';
+const MIN_PASSWORD_LENGTH = 6;
+
+// Email a single-use reset link; any previously sent link stops working.
+// Unknown addresses are ignored so the response never reveals whether an account exists.
+const requestPasswordReset = async (email) => {
+  const user = await User.findByEmail(email);
+  if (!user) return;
+
+  const { tokenTtlMinutes } = mailConfig.passwordReset;
+  const token = await issueUserToken(user._id, PURPOSE, tokenTtlMinutes * 60 * 1000);
+
+  await sendTemplate(user, 'passwordReset', {
+    url: buildAppUrl('/reset-password', { token }),
+    ttlMinutes: tokenTtlMinutes
+  });
+};
+
+// Set a new password with a reset token, then sign the account out everywhere
+const resetPassword = async (token, newPassword) => {
+  if (typeof newPassword !== 'string' || newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw new ApiError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`, `La password deve contenere almeno ${MIN_PASSWORD_LENGTH} caratteri`);
+  }
+
+  const entry = await consumeUserToken(token, PURPOSE);
+  const user = entry ? await User.findById(entry.userId) : null;
+  if (!user) {
+    throw new ApiError(400, 'Invalid or expired token', 'Token non valido o scaduto');
+  }
+
+  // Saving a new password sets passwordChangedAt, which rejects every access token issued before it
+  user.password = newPassword;
+  await user.save();
+
+  await invalidateUserTokens(user._id, PURPOSE);
+  await revokeUserSessions(user._id, { reason: 'password_change' });
+
+  return user;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword
+};
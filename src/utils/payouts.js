@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Commission = require('../models/Commission');
+const CommissionPeriod = require('../models/CommissionPeriod');
+const PeriodEarning = require('../models/PeriodEarning');
+const PayoutBatch = require('../models/PayoutBatch');
+const { ApiError } = require('./errors');
+const { runInTransaction } = require('./db');
+const { roundCurrency } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Period length and minimum payout, overridable per close request
+const getPayoutConfig = () => ({
+  frequency: process.env.COMMISSION_PERIOD || 'monthly',
+  minimumPayout: parseFloat(process.env.MINIMUM_PAYOUT || '50')
+});
+
+// UTC boundaries and key of the period containing a date
+const getPeriodBounds = (date, frequency = 'monthly') => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  if (frequency === 'weekly') {
+    // ISO weeks start on Monday and belong to the year of their Thursday
+    const start = new Date(Date.UTC(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7)));
+    const end = new Date(start.getTime() + 7 * DAY_MS);
+    const thursday = new Date(start.getTime() + 3 * DAY_MS);
+    const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((thursday - yearStart) / DAY_MS + 1) / 7);
+    return { start, end, key: `${thursday.getUTCFullYear()}-W${week.toString().padStart(2, '0')}` };
+  }
+
+  if (frequency === 'quarterly') {
+    const quarter = Math.floor(month / 3);
+    const start = new Date(Date.UTC(year, quarter * 3, 1));
+    const end = new Date(Date.UTC(year, quarter * 3 + 3, 1));
+    return { start, end, key: `${year}-Q${quarter + 1}` };
+  }
+
+  const start = new Date(Date.UTC(year, month, 1));
+  const end = new Date(Date.UTC(year, month + 1, 1));
+  return { start, end, key: `${year}-${(month + 1).toString().padStart(2, '0')}` };
+};
+
+// The period that follows the last closed one (or the first period with ledger activity)
+const getNextPeriod = async (frequency, session = null) => {
+  const last = await CommissionPeriod.getLastClosed().session(session);
+
+  if (last) {
+    // Start exactly where the previous period ended, even if the frequency changed
+    const bounds = getPeriodBounds(last.endDate, frequency);
+    return { start: last.endDate, end: bounds.end, key: bounds.key };
+  }
+
+  const firstEntry = await Commission.findOne().sort({ createdAt: 1 }).select('createdAt').session(session);
+  return getPeriodBounds(firstEntry ? firstEntry.createdAt : new Date(), frequency);
+};
+
+// Sum ledger entries booked within [start, end) per beneficiary
+const aggregatePeriodLedger = async (start, end, session) => {
+  const byType = await Commission.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: { beneficiaryId: '$beneficiaryId', type: '$type' },
+        amount: { $sum: '$amount' }
+      }
+    }
+  ]).session(session);
+
+  const byGeneration = await Commission.aggregate([
+    { $match: { createdAt: { $gte: start, $lt: end }, generation: { $exists: true } } },
+    {
+      $group: {
+        _id: { beneficiaryId: '$beneficiaryId', generation: '$generation' },
+        count: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, 0, 1] } },
+        amount: { $sum: '$amount' },
+        volume: {
+          $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, { $multiply: ['$baseAmount', -1] }, '$baseAmount'] }
+        }
+      }
+    },
+    { $sort: { '_id.generation': 1 } }
+  ]).session(session);
+
+  const ledger = new Map();
+  const entryFor = (beneficiaryId) => {
+    const key = beneficiaryId.toString();
+    if (!ledger.has(key)) {
+      ledger.set(key, {
+        beneficiaryId,
+        earnings: 0,
+        byType: { direct_sale: 0, downline_sale: 0, bonus: 0, adjustment: 0 },
+        byGeneration: []
+      });
+    }
+    return ledger.get(key);
+  };
+
+  byType.forEach(({ _id, amount }) => {
+    const entry = entryFor(_id.beneficiaryId);
+    entry.byType[_id.type] = roundCurrency(amount);
+    entry.earnings = roundCurrency(entry.earnings + amount);
+  });
+
+  byGeneration.forEach(({ _id, count, amount, volume }) => {
+    entryFor(_id.beneficiaryId).byGeneration.push({
+      generation: _id.generation,
+      count,
+      amount: roundCurrency(amount),
+      volume: roundCurrency(volume)
+    });
+  });
+
+  return ledger;
+};
+
+// Close the next commission period: snapshot earnings, apply the minimum payout and draft a batch
+const closeNextPeriod = async ({ closedBy, frequency, minimumPayout } = {}) => {
+  const config = getPayoutConfig();
+  frequency = frequency || config.frequency;
+  minimumPayout = minimumPayout !== undefined ? Number(minimumPayout) : config.minimumPayout;
+
+  if (!CommissionPeriod.PERIOD_FREQUENCIES.includes(frequency)) {
+    throw new ApiError(400, 'Invalid period frequency', 'Frequenza del periodo non valida');
+  }
+  if (!(minimumPayout >= 0)) {
+    throw new ApiError(400, 'Invalid minimum payout', 'Soglia minima di pagamento non valida');
+  }
+
+  return runInTransaction(async (session) => {
+    const { start, end, key } = await getNextPeriod(frequency, session);
+
+    if (end > new Date()) {
+      throw new ApiError(400, 'Period has not ended yet', 'Il periodo non è ancora terminato');
+    }
+
+    const previous = await CommissionPeriod.getLastClosed().session(session);
+    const carried = previous
+      ? await PeriodEarning.find({ periodId: previous._id, carriedForward: { $ne: 0 } }).session(session)
+      : [];
+
+    const ledger = await aggregatePeriodLedger(start, end, session);
+    carried.forEach(snapshot => {
+      const key = snapshot.beneficiaryId.toString();
+      if (!ledger.has(key)) {
+        ledger.set(key, {
+          beneficiaryId: snapshot.beneficiaryId,
+          earnings: 0,
+          byType: { direct_sale: 0, downline_sale: 0, bonus: 0, adjustment: 0 },
+          byGeneration: []
+        });
+      }
+      ledger.get(key).broughtForward = snapshot.carriedForward;
+    });
+
+    const periodId = new mongoose.Types.ObjectId();
+    const batchId = new mongoose.Types.ObjectId();
+
+    const snapshots = Array.from(ledger.values()).map(entry => {
+      const broughtForward = entry.broughtForward || 0;
+      const available = roundCurrency(broughtForward + entry.earnings);
+      const payable = available >= minimumPayout && available > 0 ? available : 0;
+
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        periodId,
+        beneficiaryId: entry.beneficiaryId,
+        broughtForward,
+        earnings: entry.earnings,
+        byType: entry.byType,
+        byGeneration: entry.byGeneration,
+        available,
+        payable,
+        carriedForward: roundCurrency(available - payable),
+        payoutBatchId: payable > 0 ? batchId : undefined
+      };
+    });
+
+    await PeriodEarning.insertMany(snapshots, { session });
+
+    const items = snapshots
+      .filter(snapshot => snapshot.payable > 0)
+      .map(snapshot => ({
+        beneficiaryId: snapshot.beneficiaryId,
+        periodEarningId: snapshot._id,
+        amount: snapshot.payable
+      }));
+
+    const totals = {
+      earnings: roundCurrency(snapshots.reduce((sum, s) => sum + s.earnings, 0)),
+      payable: roundCurrency(snapshots.reduce((sum, s) => sum + s.payable, 0)),
+      carriedForward: roundCurrency(snapshots.reduce((sum, s) => sum + s.carriedForward, 0)),
+      beneficiaries: snapshots.length
+    };
+
+    const [batch] = await PayoutBatch.create([{
+      _id: batchId,
+      periodId,
+      items,
+      total: totals.payable,
+      status: 'draft'
+    }], { session });
+
+    const [period] = await CommissionPeriod.create([{
+      _id: periodId,
+      key,
+      frequency,
+      startDate: start,
+      endDate: end,
+      minimumPayout,
+      totals,
+      payoutBatchId: batch._id,
+      closedAt: new Date(),
+      closedBy
+    }], { session });
+
+    return { period, batch };
+  });
+};
+
+// Move a payout batch through draft -> approved -> paid
+const updateBatchStatus = async (batchId, status, { changedBy, paymentReference } = {}) => {
+  const batch = mongoose.isValidObjectId(batchId) ? await PayoutBatch.findById(batchId) : null;
+  if (!batch) {
+    throw new ApiError(404, 'Payout batch not found', 'Lotto di pagamento non trovato');
+  }
+
+  if (!batch.canTransitionTo(status)) {
+    throw new ApiError(400, 'Invalid status transition', 'Cambio di stato non consentito');
+  }
+
+  const update = { status };
+  if (status === 'approved') {
+    update.approvedAt = new Date();
+    update.approvedBy = changedBy;
+  }
+  if (status === 'paid') {
+    update.paidAt = new Date();
+    update.paidBy = changedBy;
+    if (paymentReference) update.paymentReference = paymentReference;
+  }
+
+  // Guard on the current status so concurrent requests cannot skip a step
+  const updated = await PayoutBatch.findOneAndUpdate(
+    { _id: batch._id, status: batch.status },
+    update,
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new ApiError(409, 'Payout batch changed concurrently', 'Lotto di pagamento modificato nel frattempo');
+  }
+
+  return updated;
+};
+
+// Period and payout figures shown to an ambassador
+const getPayoutSummary = async (userId) => {
+  const beneficiaryId = new mongoose.Types.ObjectId(userId);
+  const { frequency } = getPayoutConfig();
+
+  const lastSnapshot = await PeriodEarning.findOne({ beneficiaryId })
+    .sort({ createdAt: -1 })
+    .populate('periodId', 'key startDate endDate');
+
+  const lastPeriod = await CommissionPeriod.getLastClosed();
+  const currentStart = lastPeriod ? lastPeriod.endDate : getPeriodBounds(new Date(), frequency).start;
+  const currentEarnings = await Commission.getBalance(beneficiaryId, { createdAt: { $gte: currentStart } });
+
+  const batchTotals = await PayoutBatch.aggregate([
+    { $match: { 'items.beneficiaryId': beneficiaryId } },
+    { $unwind: '$items' },
+    { $match: { 'items.beneficiaryId': beneficiaryId } },
+    { $group: { _id: '$status', amount: { $sum: '$items.amount' } } }
+  ]);
+  const totalsByStatus = batchTotals.reduce((totals, t) => {
+    totals[t._id] = roundCurrency(t.amount);
+    return totals;
+  }, {});
+
+  const recentPeriods = await PeriodEarning.find({ beneficiaryId })
+    .sort({ createdAt: -1 })
+    .limit(6)
+    .populate('periodId', 'key startDate endDate')
+    .select('periodId earnings broughtForward payable carriedForward payoutBatchId');
+
+  return {
+    currentPeriod: {
+      startDate: currentStart,
+      earnings: roundCurrency(currentEarnings)
+    },
+    carriedForward: lastSnapshot ? lastSnapshot.carriedForward : 0,
+    pendingPayout: roundCurrency((totalsByStatus.draft || 0) + (totalsByStatus.approved || 0)),
+    totalPaid: totalsByStatus.paid || 0,
+    minimumPayout: getPayoutConfig().minimumPayout,
+    recentPeriods
+  };
+};
+
+module.exports = {
+  getPayoutConfig,
+  getPeriodBounds,
+  getNextPeriod,
+  closeNextPeriod,
+  updateBatchStatus,
+  getPayoutSummary
+};
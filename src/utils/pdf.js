@@ -0,0 +1,190 @@
+const PDFDocument = require('pdfkit');
+const company = require('../config/company');
+
+const LOCALES = {
+  it: 'it-IT',
+  en: 'en-GB',
+  es: 'es-ES',
+  fr: 'fr-FR'
+};
+
+const PAGE_MARGIN = 50;
+
+// Standard PDF fonts cannot render narrow/no-break spaces produced by Intl
+const normalizeSpaces = (text) => text.replace(/[\u00a0\u202f]/g, ' ');
+
+const formatCurrency = (amount, language = 'it', currency = 'EUR') => {
+  return normalizeSpaces(new Intl.NumberFormat(LOCALES[language] || LOCALES.it, {
+    style: 'currency',
+    currency
+  }).format(amount || 0));
+};
+
+const formatNumber = (value, language = 'it', options = {}) => {
+  return normalizeSpaces(new Intl.NumberFormat(LOCALES[language] || LOCALES.it, options).format(value || 0));
+};
+
+const formatDate = (date, language = 'it', timeZone = 'Europe/Rome') => {
+  if (!date) return '';
+  return new Intl.DateTimeFormat(LOCALES[language] || LOCALES.it, {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    timeZone
+  }).format(new Date(date));
+};
+
+const createDocument = ({ title, subject } = {}) => {
+  return new PDFDocument({
+    size: 'A4',
+    margin: PAGE_MARGIN,
+    bufferPages: true,
+    info: {
+      Title: title,
+      Subject: subject,
+      Author: company.name,
+      Creator: company.name
+    }
+  });
+};
+
+// Company header with the document title
+const drawHeader = (doc, { title, subtitle, companyLines = [] }) => {
+  doc.fillColor(company.brandColor).font('Helvetica-Bold').fontSize(20)
+    .text(company.name, PAGE_MARGIN, PAGE_MARGIN);
+
+  doc.fillColor('#555555').font('Helvetica').fontSize(8);
+  [...companyLines, company.website, company.email].filter(Boolean).forEach(line => doc.text(line));
+
+  doc.moveDown(1.5);
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(14).text(title);
+  if (subtitle) {
+    doc.font('Helvetica').fontSize(10).fillColor('#333333').text(subtitle);
+  }
+
+  doc.moveDown();
+  drawRule(doc);
+  doc.fillColor('#000000');
+};
+
+const drawRule = (doc) => {
+  const y = doc.y;
+  doc.strokeColor('#cccccc').lineWidth(0.5)
+    .moveTo(PAGE_MARGIN, y)
+    .lineTo(doc.page.width - PAGE_MARGIN, y)
+    .stroke();
+  doc.moveDown(0.5);
+};
+
+const drawSectionTitle = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.fillColor(company.brandColor).font('Helvetica-Bold').fontSize(11).text(title, PAGE_MARGIN);
+  doc.fillColor('#000000').moveDown(0.3);
+};
+
+// Label/value pairs aligned in two columns
+const drawKeyValues = (doc, pairs, { bold = [] } = {}) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  pairs.forEach(([label, value]) => {
+    const y = doc.y;
+    const font = bold.includes(label) ? 'Helvetica-Bold' : 'Helvetica';
+    doc.font(font).fontSize(10)
+      .text(label, PAGE_MARGIN, y, { width: width * 0.6 })
+      .text(value, PAGE_MARGIN + width * 0.6, y, { width: width * 0.4, align: 'right' });
+    doc.moveDown(0.2);
+  });
+};
+
+// Simple table with a header row, repeated on every page
+const drawTable = (doc, { columns, rows, emptyText = '' }) => {
+  const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+  const totalWeight = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => tableWidth * (column.width || 1) / totalWeight);
+
+  const drawRow = (cells, { header = false } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const height = Math.max(...cells.map((cell, i) => doc.heightOfString(String(cell ?? ''), { width: widths[i] - 4 }))) + 6;
+
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+      doc.addPage();
+      if (!header) drawRow(columns.map(column => column.label), { header: true });
+    }
+
+    const y = doc.y;
+    if (header) {
+      doc.rect(PAGE_MARGIN, y, tableWidth, height).fill('#f1f5f9');
+      doc.fillColor('#000000');
+    }
+
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell ?? ''), x + 2, y + 3, { width: widths[i] - 4, align: columns[i].align || 'left' });
+      x += widths[i];
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height;
+  };
+
+  drawRow(columns.map(column => column.label), { header: true });
+
+  if (rows.length === 0 && emptyText) {
+    doc.font('Helvetica-Oblique').fontSize(9).text(emptyText, PAGE_MARGIN + 2, doc.y + 3);
+    doc.moveDown(0.5);
+    return;
+  }
+
+  rows.forEach(row => drawRow(row));
+};
+
+// Page numbers on every buffered page
+const drawPageNumbers = (doc, label = '') => {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise trigger a page break
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#888888')
+      .text(`${label} ${i + 1}/${range.count}`.trim(), PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 15, {
+        width: doc.page.width - PAGE_MARGIN * 2,
+        align: 'right',
+        lineBreak: false
+      });
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// Collect a finished document into a Buffer
+const toBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+const sendPdf = (res, buffer, filename) => {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+};
+
+module.exports = {
+  LOCALES,
+  formatCurrency,
+  formatNumber,
+  formatDate,
+  createDocument,
+  drawHeader,
+  drawRule,
+  drawSectionTitle,
+  drawKeyValues,
+  drawTable,
+  drawPageNumbers,
+  toBuffer,
+  sendPdf
+};
@@ -0,0 +1,39 @@
+const smsConfig = require('../config/sms');
+const { ApiError } = require('./errors');
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Normalize a phone number to E.164 (+393331234567). Numbers without an
+// international prefix get the default country code. Returns null when invalid.
+const normalizePhone = (input, defaultCountryCode = smsConfig.defaultCountryCode) => {
+  if (typeof input !== 'string') return null;
+
+  let phone = input.trim().replace(/[\s\-().\/]/g, '');
+  if (phone.startsWith('00')) {
+    phone = `+${phone.slice(2)}`;
+  } else if (!phone.startsWith('+')) {
+    phone = `+${defaultCountryCode}${phone}`;
+  }
+
+  return E164_PATTERN.test(phone) ? phone : null;
+};
+
+// Normalize an optional phone field of a request body in place; empty values clear it
+const normalizePhoneField = (data) => {
+  if (data.phone === undefined) return;
+  if (data.phone === null || data.phone === '') {
+    data.phone = null;
+    return;
+  }
+
+  const phone = normalizePhone(data.phone);
+  if (!phone) {
+    throw new ApiError(400, 'Invalid phone number', 'Numero di telefono non valido');
+  }
+  data.phone = phone;
+};
+
+module.exports = {
+  normalizePhone,
+  normalizePhoneField
+};
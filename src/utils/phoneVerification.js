@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const User = require('../models/User');
+const smsConfig = require('../config/sms');
+const company = require('../config/company');
+const { ApiError } = require('./errors');
+const { sendSms } = require('./sms');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MESSAGES = {
+  it: (code, minutes) => `${company.name}: il tuo codice di verifica è ${code}. Scade tra ${minutes} minuti.`,
+  en: (code, minutes) => `${company.name}: your verification code is ${code}. It expires in ${minutes} minutes.`,
+  es: (code, minutes) => `${company.name}: tu código de verificación es ${code}. Caduca en ${minutes} minutos.`,
+  fr: (code, minutes) => `${company.name} : votre code de vérification est ${code}. Il expire dans ${minutes} minutes.`
+};
+
+// Codes are short, so they are keyed with the server secret rather than plainly hashed
+const hashCode = (otpId, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key')
+  .update(`${otpId}:${code}`)
+  .digest('hex');
+
+const generateCode = (length) => {
+  return crypto.randomInt(0, 10 ** length).toString().padStart(length, '0');
+};
+
+const assertWithinSendLimits = async (userId) => {
+  const { resendIntervalSeconds, maxPerDay } = smsConfig.otp;
+  const recent = await PhoneOtp.find({ userId, createdAt: { $gte: new Date(Date.now() - DAY_MS) } })
+    .sort({ createdAt: -1 })
+    .select('createdAt');
+
+  if (recent.length >= maxPerDay) {
+    const retryAfter = Math.ceil((recent[recent.length - 1].createdAt.getTime() + DAY_MS - Date.now()) / 1000);
+    throw new ApiError(429, 'Too many codes requested', 'Troppi codici richiesti', { retryAfter });
+  }
+
+  if (recent.length > 0) {
+    const wait = recent[0].createdAt.getTime() + resendIntervalSeconds * 1000 - Date.now();
+    if (wait > 0) {
+      throw new ApiError(429, 'Please wait before requesting a new code', 'Attendi prima di richiedere un nuovo codice', {
+        retryAfter: Math.ceil(wait / 1000)
+      });
+    }
+  }
+};
+
+// Send a verification code to the user's phone, replacing any pending code
+const sendPhoneOtp = async (user) => {
+  if (!user.phone) {
+    throw new ApiError(400, 'Phone number required', 'Numero di telefono richiesto');
+  }
+  if (user.phoneVerified) {
+    throw new ApiError(400, 'Phone already verified', 'Telefono già verificato');
+  }
+
+  await assertWithinSendLimits(user._id);
+
+  const { length, ttlMinutes } = smsConfig.otp;
+  const code = generateCode(length);
+
+  await PhoneOtp.updateMany(
+    { userId: user._id, verifiedAt: null, invalidatedAt: null },
+    { invalidatedAt: new Date() }
+  );
+
+  const otp = new PhoneOtp({
+    userId: user._id,
+    phone: user.phone,
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+  otp.codeHash = hashCode(otp._id, code);
+  await otp.save();
+
+  const message = (MESSAGES[user.language] || MESSAGES.it)(code, ttlMinutes);
+  await sendSms(user.phone, message);
+
+  return { expiresAt: otp.expiresAt };
+};
+
+// Check a code against the latest pending one, counting failed attempts
+const verifyPhoneOtp = async (user, code) => {
+  const otp = await PhoneOtp.findOne({ userId: user._id }).sort({ createdAt: -1 });
+
+  // The code must have been sent to the number currently on the profile
+  if (!otp || !otp.isUsable() || otp.phone !== user.phone) {
+    throw new ApiError(400, 'Code expired or not requested', 'Codice scaduto o non richiesto');
+  }
+
+  // Reserve the attempt before comparing, so parallel guesses can't exceed the limit
+  const { maxAttempts } = smsConfig.otp;
+  const reserved = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, verifiedAt: null, invalidatedAt: null, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new ApiError(400, 'Code expired or not requested', 'Codice scaduto o non richiesto');
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(otp._id, String(code || '').trim()), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    const attemptsRemaining = Math.max(0, maxAttempts - reserved.attempts);
+    if (attemptsRemaining === 0) {
+      await PhoneOtp.updateOne({ _id: otp._id }, { invalidatedAt: new Date() });
+    }
+
+    throw new ApiError(400, 'Invalid code', 'Codice non valido', { attemptsRemaining });
+  }
+
+  // The reserved attempt counts, so the last allowed one has attempts === maxAttempts
+  const verified = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, verifiedAt: null, invalidatedAt: null, attempts: { $lte: maxAttempts } },
+    { verifiedAt: new Date() }
+  );
+  if (!verified) {
+    throw new ApiError(400, 'Code expired or not requested', 'Codice scaduto o non richiesto');
+  }
+
+  return User.findByIdAndUpdate(
+    user._id,
+    { phoneVerified: true, phoneVerifiedAt: new Date() },
+    { new: true }
+  ).select('-password');
+};
+
+module.exports = {
+  sendPhoneOtp,
+  verifyPhoneOtp
+};
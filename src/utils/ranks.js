@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Rank = require('../models/Rank');
+const RankHistory = require('../models/RankHistory');
+const User = require('../models/User');
+const rankConfig = require('../config/ranks');
+const { ApiError } = require('./errors');
+const { runInTransaction } = require('./db');
+const { roundCurrency } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Create the default ladder on first use
+const ensureDefaultRanks = async () => {
+  if (await Rank.exists({})) return;
+
+  try {
+    await Rank.insertMany(rankConfig.defaultLadder, { ordered: false });
+  } catch (error) {
+    // Another request seeded the ladder concurrently
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Rolling evaluation window ending now
+const getDefaultWindow = (end = new Date()) => ({
+  start: new Date(end.getTime() - rankConfig.windowDays * DAY_MS),
+  end
+});
+
+const countQualifiedLegs = (rank, legs = []) => {
+  const { legVolume = 0, legRankLevel = 0 } = rank.qualifications || {};
+  return legs.filter(leg => leg.volume >= legVolume && leg.rankLevel >= legRankLevel).length;
+};
+
+// Compare metrics with every qualification of a rank
+const checkQualifications = (rank, metrics) => {
+  const q = rank.qualifications || {};
+  const criteria = [
+    { name: 'personalVolume', required: q.personalVolume || 0, actual: metrics.personalVolume || 0 },
+    { name: 'groupVolume', required: q.groupVolume || 0, actual: metrics.groupVolume || 0 },
+    { name: 'qualifiedLegs', required: q.qualifiedLegs || 0, actual: countQualifiedLegs(rank, metrics.legs) },
+    { name: 'activeMembers', required: q.activeMembers || 0, actual: metrics.activeMembers || 0 }
+  ].map(c => ({ ...c, met: c.actual >= c.required }));
+
+  return {
+    qualified: criteria.every(c => c.met),
+    criteria
+  };
+};
+
+// Highest rank of a ladder (sorted by level ascending) the metrics qualify for
+const findQualifiedRank = (ladder, metrics) => {
+  for (let i = ladder.length - 1; i >= 0; i--) {
+    if (checkQualifications(ladder[i], metrics).qualified) return ladder[i];
+  }
+  return null;
+};
+
+// Volumes, active members and legs of every user, computed bottom-up so that
+// leg ranks reflect the ranks assigned in the same evaluation. Users and purchase
+// totals are streamed in batches; only the fields the walk needs are kept.
+const computeNetworkMetrics = async (ladder, { start, end }) => {
+  const nodes = new Map();
+  const users = User.find({})
+    .select('role status sponsorId rankId')
+    .lean()
+    .cursor({ batchSize: rankConfig.batchSize });
+  for await (const user of users) {
+    nodes.set(user._id.toString(), { user, ownVolume: 0, children: [] });
+  }
+
+  const purchases = Order.aggregate([
+    { $match: { status: { $in: Order.PURCHASED_STATUSES }, paidAt: { $gte: start, $lt: end } } },
+    { $group: { _id: '$userId', volume: { $sum: '$total' } } }
+  ]).cursor({ batchSize: rankConfig.batchSize });
+  for await (const purchase of purchases) {
+    const node = purchase._id && nodes.get(purchase._id.toString());
+    if (node) node.ownVolume = purchase.volume;
+  }
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.user.sponsorId && nodes.get(node.user.sponsorId.toString());
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const visited = new Set();
+  const evaluate = (root) => {
+    // Iterative post-order walk; the visited set also guards against sponsor cycles
+    const stack = [{ node: root, expanded: false }];
+    while (stack.length) {
+      const frame = stack.pop();
+      const { node } = frame;
+      const id = node.user._id.toString();
+
+      if (!frame.expanded) {
+        if (visited.has(id)) continue;
+        visited.add(id);
+        stack.push({ node, expanded: true });
+        node.children.forEach(child => stack.push({ node: child, expanded: false }));
+        continue;
+      }
+
+      const children = node.children.filter(child => child.metrics);
+      const personalVolume = node.ownVolume + children
+        .filter(child => child.user.role === 'client')
+        .reduce((sum, child) => sum + child.ownVolume, 0);
+
+      node.metrics = {
+        personalVolume: roundCurrency(personalVolume),
+        groupVolume: roundCurrency(node.ownVolume + children.reduce((sum, child) => sum + child.metrics.groupVolume, 0)),
+        activeMembers: children.reduce((sum, child) => sum + child.metrics.activeMembers + (child.isActiveMember ? 1 : 0), 0),
+        legs: children.map(child => ({
+          userId: child.user._id,
+          volume: child.metrics.groupVolume,
+          rankLevel: child.maxRankLevel
+        }))
+      };
+      node.isActiveMember = node.user.status === 'active' && node.ownVolume > 0;
+
+      if (node.user.role === 'ambassador') {
+        node.rank = findQualifiedRank(ladder, node.metrics);
+      }
+      node.maxRankLevel = Math.max(node.rank ? node.rank.level : 0, ...children.map(child => child.maxRankLevel));
+    }
+  };
+
+  roots.forEach(evaluate);
+  // Members of a sponsor cycle are unreachable from any root
+  nodes.forEach(node => evaluate(node));
+
+  return nodes;
+};
+
+// Evaluate every ambassador over a window, promoting or demoting as needed. Results are
+// written in batches, each in its own transaction; an interrupted run can simply be
+// repeated, since ambassadors already holding their rank are left as they are.
+const evaluateRanks = async ({ start, end, dryRun = false } = {}) => {
+  if (!start || !end) ({ start, end } = getDefaultWindow());
+  if (!(start < end)) {
+    throw new ApiError(400, 'Invalid evaluation window', 'Periodo di valutazione non valido');
+  }
+
+  await ensureDefaultRanks();
+  const ladder = await Rank.findLadder().lean();
+  const levels = new Map(ladder.map(rank => [rank._id.toString(), rank.level]));
+  const nodes = await computeNetworkMetrics(ladder, { start, end });
+
+  const evaluatedAt = new Date();
+  const changes = [];
+  let evaluated = 0;
+  let batch = [];
+
+  const flush = async () => {
+    const pending = batch;
+    batch = [];
+    if (dryRun || !pending.length) return;
+
+    await runInTransaction(async (session) => {
+      await User.bulkWrite(pending.map(item => item.update), { session });
+      const history = pending.filter(item => item.change).map(item => item.change);
+      if (history.length) await RankHistory.insertMany(history, { session });
+    });
+  };
+
+  for (const node of nodes.values()) {
+    if (node.user.role !== 'ambassador') continue;
+
+    const currentId = node.user.rankId ? node.user.rankId.toString() : null;
+    const nextId = node.rank ? node.rank._id.toString() : null;
+    const update = {
+      rankMetrics: { ...node.metrics, windowStart: start, windowEnd: end, evaluatedAt }
+    };
+
+    let change = null;
+    if (currentId !== nextId) {
+      const fromLevel = (currentId && levels.get(currentId)) || 0;
+      const toLevel = node.rank ? node.rank.level : 0;
+
+      update.rankId = node.rank ? node.rank._id : null;
+      update.rankAchievedAt = evaluatedAt;
+      change = {
+        userId: node.user._id,
+        change: toLevel >= fromLevel ? 'promotion' : 'demotion',
+        fromRankId: node.user.rankId,
+        fromLevel,
+        toRankId: node.rank?._id,
+        toLevel,
+        windowStart: start,
+        windowEnd: end,
+        metrics: {
+          personalVolume: node.metrics.personalVolume,
+          groupVolume: node.metrics.groupVolume,
+          qualifiedLegs: node.rank ? countQualifiedLegs(node.rank, node.metrics.legs) : 0,
+          activeMembers: node.metrics.activeMembers
+        }
+      };
+      changes.push(change);
+    }
+
+    evaluated++;
+    batch.push({ update: { updateOne: { filter: { _id: node.user._id }, update: { $set: update } } }, change });
+    if (batch.length >= rankConfig.batchSize) await flush();
+  }
+  await flush();
+
+  return {
+    windowStart: start,
+    windowEnd: end,
+    evaluated,
+    promotions: changes.filter(c => c.change === 'promotion').length,
+    demotions: changes.filter(c => c.change === 'demotion').length,
+    dryRun,
+    changes
+  };
+};
+
+// Assign a rank by hand, outside of the evaluation (admin override)
+const setUserRank = async (userId, rankId, { reason, createdBy } = {}) => {
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, 'Invalid user id', 'ID utente non valido');
+  }
+  if (rankId && !mongoose.isValidObjectId(rankId)) {
+    throw new ApiError(400, 'Invalid rank id', 'ID rango non valido');
+  }
+
+  return runInTransaction(async (session) => {
+    const user = await User.findOne({ _id: userId, role: 'ambassador' }).session(session);
+    if (!user) {
+      throw new ApiError(404, 'Ambassador not found', 'Ambassador non trovato');
+    }
+
+    const rank = rankId ? await Rank.findById(rankId).session(session) : null;
+    if (rankId && !rank) {
+      throw new ApiError(404, 'Rank not found', 'Rango non trovato');
+    }
+
+    const current = user.rankId ? await Rank.findById(user.rankId).session(session) : null;
+    if ((current?._id.toString() || null) === (rank?._id.toString() || null)) {
+      throw new ApiError(400, 'User already holds this rank', 'L\'utente ha già questo rango');
+    }
+
+    const fromLevel = current ? current.level : 0;
+    const toLevel = rank ? rank.level : 0;
+
+    user.rankId = rank ? rank._id : undefined;
+    user.rankAchievedAt = new Date();
+    await user.save({ session });
+
+    const [entry] = await RankHistory.create([{
+      userId: user._id,
+      change: toLevel >= fromLevel ? 'promotion' : 'demotion',
+      fromRankId: current?._id,
+      fromLevel,
+      toRankId: rank?._id,
+      toLevel,
+      reason,
+      createdBy
+    }], { session });
+
+    return entry;
+  });
+};
+
+// Current rank of an ambassador with progress towards the next one
+const getRankStatus = async (user) => {
+  await ensureDefaultRanks();
+  const ladder = await Rank.findLadder().lean();
+  const current = user.rankId ? ladder.find(rank => rank._id.equals(user.rankId)) : null;
+  const next = ladder.find(rank => rank.level > (current ? current.level : 0));
+  const metrics = user.rankMetrics || {};
+
+  return {
+    current: current ? { id: current._id, code: current.code, name: current.name, level: current.level } : null,
+    achievedAt: user.rankAchievedAt,
+    metrics: {
+      personalVolume: metrics.personalVolume || 0,
+      groupVolume: metrics.groupVolume || 0,
+      activeMembers: metrics.activeMembers || 0,
+      legs: (metrics.legs || []).length,
+      windowStart: metrics.windowStart,
+      windowEnd: metrics.windowEnd,
+      evaluatedAt: metrics.evaluatedAt
+    },
+    next: next
+      ? { code: next.code, name: next.name, level: next.level, ...checkQualifications(next, metrics) }
+      : null
+  };
+};
+
+module.exports = {
+  ensureDefaultRanks,
+  getDefaultWindow,
+  checkQualifications,
+  findQualifiedRank,
+  evaluateRanks,
+  setUserRank,
+  getRankStatus
+};
@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { ApiError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Token lifetimes
+const getTokenConfig = () => ({
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '7'),
+  rememberMeDays: parseInt(process.env.REFRESH_TOKEN_REMEMBER_DAYS || '30'),
+  impersonationMinutes: parseInt(process.env.IMPERSONATION_TTL_MINUTES || '30')
+});
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Short description of the client from its user agent
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return userAgent ? 'Unknown device' : 'API client';
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+};
+
+// Short-lived JWT bound to a session; impersonation tokens also carry the admin's id (imp)
+const signAccessToken = (userId, sessionId, { impersonatorId, expiresIn } = {}) => {
+  const payload = { userId, sid: sessionId };
+  if (impersonatorId) payload.imp = impersonatorId;
+
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: expiresIn || getTokenConfig().accessTokenTtl }
+  );
+};
+
+const generateSecret = () => crypto.randomBytes(48).toString('base64url');
+
+// Token pair returned to the client for a session holding the given refresh secret
+const buildTokens = (session, secret) => ({
+  token: signAccessToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: getTokenConfig().accessTokenTtl,
+  refreshExpiresAt: session.expiresAt
+});
+
+// Issue a new refresh secret for a session and the token pair returned to the client
+const issueTokens = (session) => {
+  const secret = generateSecret();
+  const config = getTokenConfig();
+  const days = session.rememberMe ? config.rememberMeDays : config.refreshTokenDays;
+
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashSecret(secret);
+  session.expiresAt = new Date(Date.now() + days * DAY_MS);
+
+  return buildTokens(session, secret);
+};
+
+// Start a session for a freshly authenticated user
+const createSession = async (user, req, { rememberMe = false } = {}) => {
+  const userAgent = req.get('user-agent') || '';
+  const session = new Session({
+    userId: user._id,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    rememberMe: Boolean(rememberMe)
+  });
+
+  const tokens = issueTokens(session);
+  session.previousTokenHash = undefined;
+  await session.save();
+
+  return { session, ...tokens };
+};
+
+// Start a time-limited session in which an admin acts as another user. It has no
+// refresh token: when the access token expires, the impersonation is over.
+const createImpersonationSession = async (admin, user, req, { reason } = {}) => {
+  const minutes = getTokenConfig().impersonationMinutes;
+  const userAgent = req.get('user-agent') || '';
+  const session = await Session.create({
+    userId: user._id,
+    impersonatorId: admin._id,
+    impersonationReason: reason,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+
+  return {
+    session,
+    token: signAccessToken(user._id, session._id, { impersonatorId: admin._id, expiresIn: `${minutes}m` }),
+    expiresIn: `${minutes}m`,
+    expiresAt: session.expiresAt
+  };
+};
+
+// Exchange a refresh token for a new token pair, invalidating the old one
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw new ApiError(401, 'Invalid refresh token', 'Refresh token non valido');
+  }
+
+  const hash = hashSecret(secret);
+  const nextSecret = generateSecret();
+  const config = getTokenConfig();
+  const now = Date.now();
+
+  // Swap the secret in one conditional update: of two requests presenting the same
+  // token only one wins, and the other is treated as reuse below
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: new Date(now) }, impersonatorId: null },
+    [{
+      $set: {
+        previousTokenHash: hash,
+        refreshTokenHash: hashSecret(nextSecret),
+        expiresAt: {
+          $cond: ['$rememberMe', new Date(now + config.rememberMeDays * DAY_MS), new Date(now + config.refreshTokenDays * DAY_MS)]
+        },
+        lastSeenAt: new Date(now),
+        ip: req.ip
+      }
+    }],
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token was presented again: someone else holds this session
+    await Session.updateOne(
+      { _id: sessionId, previousTokenHash: hash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    throw new ApiError(401, 'Invalid refresh token', 'Refresh token non valido');
+  }
+
+  return { session, ...buildTokens(session, nextSecret) };
+};
+
+const revokeSession = async (sessionId, userId, reason = 'revoked') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke every session of a user, optionally keeping one (e.g. the caller's)
+const revokeUserSessions = async (userId, { reason = 'revoked', exceptSessionId } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  getTokenConfig,
+  describeDevice,
+  signAccessToken,
+  issueTokens,
+  createSession,
+  createImpersonationSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+};
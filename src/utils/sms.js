@@ -0,0 +1,67 @@
+const smsConfig = require('../config/sms');
+
+// Providers share one interface: send({ to, body }) -> { messageId }
+
+// Prints messages instead of sending them, for local development
+const createLogProvider = () => ({
+  name: 'log',
+  send: async ({ to, body }) => {
+    console.log(`📱 SMS to ${to}: ${body}`);
+    return { messageId: `log-${Date.now()}` };
+  }
+});
+
+const createTwilioProvider = () => {
+  const { accountSid, authToken } = smsConfig.twilio;
+
+  return {
+    name: 'twilio',
+    send: async ({ to, body }) => {
+      const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: new URLSearchParams({ To: to, From: smsConfig.from, Body: body })
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(`Twilio error ${response.status}: ${result.message}`);
+      }
+      return { messageId: result.sid };
+    }
+  };
+};
+
+const PROVIDERS = {
+  log: createLogProvider,
+  twilio: createTwilioProvider
+};
+
+let provider = null;
+
+const getSmsProvider = () => {
+  if (!provider) {
+    const factory = PROVIDERS[smsConfig.provider];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${smsConfig.provider}`);
+    }
+    provider = factory();
+  }
+  return provider;
+};
+
+// Replace the provider (e.g. with another SMS gateway)
+const setSmsProvider = (custom) => {
+  provider = custom;
+};
+
+const sendSms = (to, body) => getSmsProvider().send({ to, body });
+
+module.exports = {
+  getSmsProvider,
+  setSmsProvider,
+  sendSms
+};
@@ -0,0 +1,265 @@
+const Commission = require('../models/Commission');
+const { getUserTimezone } = require('./dates');
+const {
+  formatCurrency,
+  formatDate,
+  formatNumber,
+  createDocument,
+  drawHeader,
+  drawSectionTitle,
+  drawKeyValues,
+  drawTable,
+  drawPageNumbers,
+  toBuffer
+} = require('./pdf');
+
+const STRINGS = {
+  it: {
+    title: 'Estratto conto commissioni',
+    period: 'Periodo',
+    ambassador: 'Ambassador',
+    code: 'Codice',
+    summary: 'Riepilogo',
+    broughtForward: 'Saldo riportato dal periodo precedente',
+    periodEarnings: 'Guadagni del periodo',
+    available: 'Totale disponibile',
+    minimumPayout: 'Soglia minima di pagamento',
+    netPayable: 'Netto da pagare',
+    carriedForward: 'Saldo riportato al periodo successivo',
+    byLevel: 'Totali per livello di downline',
+    level: 'Livello',
+    sales: 'Vendite',
+    volume: 'Volume',
+    commissions: 'Commissioni',
+    adjustments: 'Rettifiche e bonus',
+    details: 'Dettaglio movimenti',
+    date: 'Data',
+    type: 'Tipo',
+    description: 'Descrizione',
+    order: 'Ordine',
+    member: 'Membro',
+    rate: 'Aliquota',
+    amount: 'Importo',
+    none: 'Nessun movimento',
+    page: 'Pagina',
+    types: {
+      direct_sale: 'Vendita diretta',
+      downline_sale: 'Vendita downline',
+      bonus: 'Bonus',
+      adjustment: 'Rettifica'
+    }
+  },
+  en: {
+    title: 'Commission statement',
+    period: 'Period',
+    ambassador: 'Ambassador',
+    code: 'Code',
+    summary: 'Summary',
+    broughtForward: 'Balance brought forward',
+    periodEarnings: 'Earnings for the period',
+    available: 'Total available',
+    minimumPayout: 'Minimum payout threshold',
+    netPayable: 'Net payable',
+    carriedForward: 'Balance carried forward',
+    byLevel: 'Totals by downline level',
+    level: 'Level',
+    sales: 'Sales',
+    volume: 'Volume',
+    commissions: 'Commissions',
+    adjustments: 'Adjustments and bonuses',
+    details: 'Transaction details',
+    date: 'Date',
+    type: 'Type',
+    description: 'Description',
+    order: 'Order',
+    member: 'Member',
+    rate: 'Rate',
+    amount: 'Amount',
+    none: 'No transactions',
+    page: 'Page',
+    types: {
+      direct_sale: 'Direct sale',
+      downline_sale: 'Downline sale',
+      bonus: 'Bonus',
+      adjustment: 'Adjustment'
+    }
+  },
+  es: {
+    title: 'Extracto de comisiones',
+    period: 'Periodo',
+    ambassador: 'Embajador',
+    code: 'Código',
+    summary: 'Resumen',
+    broughtForward: 'Saldo del periodo anterior',
+    periodEarnings: 'Ganancias del periodo',
+    available: 'Total disponible',
+    minimumPayout: 'Umbral mínimo de pago',
+    netPayable: 'Neto a pagar',
+    carriedForward: 'Saldo trasladado al periodo siguiente',
+    byLevel: 'Totales por nivel de la red',
+    level: 'Nivel',
+    sales: 'Ventas',
+    volume: 'Volumen',
+    commissions: 'Comisiones',
+    adjustments: 'Ajustes y bonos',
+    details: 'Detalle de movimientos',
+    date: 'Fecha',
+    type: 'Tipo',
+    description: 'Descripción',
+    order: 'Pedido',
+    member: 'Miembro',
+    rate: 'Tasa',
+    amount: 'Importe',
+    none: 'Sin movimientos',
+    page: 'Página',
+    types: {
+      direct_sale: 'Venta directa',
+      downline_sale: 'Venta de la red',
+      bonus: 'Bono',
+      adjustment: 'Ajuste'
+    }
+  },
+  fr: {
+    title: 'Relevé de commissions',
+    period: 'Période',
+    ambassador: 'Ambassadeur',
+    code: 'Code',
+    summary: 'Récapitulatif',
+    broughtForward: 'Solde reporté de la période précédente',
+    periodEarnings: 'Gains de la période',
+    available: 'Total disponible',
+    minimumPayout: 'Seuil minimum de paiement',
+    netPayable: 'Net à payer',
+    carriedForward: 'Solde reporté à la période suivante',
+    byLevel: 'Totaux par niveau du réseau',
+    level: 'Niveau',
+    sales: 'Ventes',
+    volume: 'Volume',
+    commissions: 'Commissions',
+    adjustments: 'Régularisations et bonus',
+    details: 'Détail des opérations',
+    date: 'Date',
+    type: 'Type',
+    description: 'Description',
+    order: 'Commande',
+    member: 'Membre',
+    rate: 'Taux',
+    amount: 'Montant',
+    none: 'Aucune opération',
+    page: 'Page',
+    types: {
+      direct_sale: 'Vente directe',
+      downline_sale: 'Vente du réseau',
+      bonus: 'Bonus',
+      adjustment: 'Régularisation'
+    }
+  }
+};
+
+// Render the commission statement of an ambassador for a closed period
+const renderStatement = async (user, period, snapshot) => {
+  const language = STRINGS[user.language] ? user.language : 'it';
+  const t = STRINGS[language];
+  const timeZone = getUserTimezone(user);
+  const money = (amount) => formatCurrency(amount, language);
+  const date = (value) => formatDate(value, language, timeZone);
+
+  const entries = await Commission.find({
+    beneficiaryId: user._id,
+    createdAt: { $gte: period.startDate, $lt: period.endDate }
+  })
+    .sort({ createdAt: 1 })
+    .populate('sourceUserId', 'firstName lastName');
+
+  // The period end is exclusive: show the last day included
+  const lastDay = new Date(period.endDate.getTime() - 1);
+
+  const doc = createDocument({ title: `${t.title} ${period.key}`, subject: t.title });
+
+  drawHeader(doc, {
+    title: t.title,
+    subtitle: `${t.period} ${period.key}: ${date(period.startDate)} - ${date(lastDay)}`
+  });
+
+  drawKeyValues(doc, [
+    [t.ambassador, `${user.firstName} ${user.lastName}`],
+    [t.code, user.ambassadorCode || '-']
+  ]);
+
+  drawSectionTitle(doc, t.summary);
+  drawKeyValues(doc, [
+    [t.broughtForward, money(snapshot.broughtForward)],
+    [t.periodEarnings, money(snapshot.earnings)],
+    [t.available, money(snapshot.available)],
+    [t.minimumPayout, money(period.minimumPayout)],
+    [t.netPayable, money(snapshot.payable)],
+    [t.carriedForward, money(snapshot.carriedForward)]
+  ], { bold: [t.netPayable] });
+
+  drawSectionTitle(doc, t.byLevel);
+  drawTable(doc, {
+    columns: [
+      { label: t.level, width: 1 },
+      { label: t.sales, width: 1, align: 'right' },
+      { label: t.volume, width: 1.5, align: 'right' },
+      { label: t.commissions, width: 1.5, align: 'right' }
+    ],
+    rows: snapshot.byGeneration.map(level => [
+      level.generation,
+      level.count,
+      money(level.volume),
+      money(level.amount)
+    ]),
+    emptyText: t.none
+  });
+
+  const adjustments = entries.filter(entry => !entry.generation);
+  drawSectionTitle(doc, t.adjustments);
+  drawTable(doc, {
+    columns: [
+      { label: t.date, width: 1 },
+      { label: t.type, width: 1 },
+      { label: t.description, width: 3 },
+      { label: t.amount, width: 1.2, align: 'right' }
+    ],
+    rows: adjustments.map(entry => [
+      date(entry.createdAt),
+      t.types[entry.type],
+      entry.description || '',
+      money(entry.amount)
+    ]),
+    emptyText: t.none
+  });
+
+  const sales = entries.filter(entry => entry.generation);
+  drawSectionTitle(doc, t.details);
+  drawTable(doc, {
+    columns: [
+      { label: t.date, width: 1 },
+      { label: t.order, width: 1.2 },
+      { label: t.member, width: 1.8 },
+      { label: t.level, width: 0.6, align: 'right' },
+      { label: t.volume, width: 1.1, align: 'right' },
+      { label: t.rate, width: 0.8, align: 'right' },
+      { label: t.commissions, width: 1.1, align: 'right' }
+    ],
+    rows: sales.map(entry => [
+      date(entry.createdAt),
+      entry.orderNumber || '',
+      entry.sourceUserId ? `${entry.sourceUserId.firstName} ${entry.sourceUserId.lastName}` : '',
+      entry.generation,
+      money(entry.type === 'adjustment' ? -entry.baseAmount : entry.baseAmount),
+      formatNumber(entry.rate || 0, language, { style: 'percent', maximumFractionDigits: 2 }),
+      money(entry.amount)
+    ]),
+    emptyText: t.none
+  });
+
+  drawPageNumbers(doc, t.page);
+
+  return toBuffer(doc);
+};
+
+module.exports = {
+  renderStatement
+};
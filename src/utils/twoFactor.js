@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const twoFactorConfig = require('../config/twoFactor');
+const { ApiError } = require('./errors');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('./totp');
+const {
+  hashToken,
+  issueUserToken,
+  findUserToken,
+  reserveAttempt,
+  recordFailedAttempt,
+  consumeUserToken,
+  invalidateUserTokens
+} = require('./userTokens');
+const { revokeUserSessions } = require('./sessions');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const isTwoFactorRequired = (user) => twoFactorConfig.requiredRoles.includes(user.role);
+
+const deriveKey = (value) => crypto.createHash('sha256').update(value).digest();
+
+const getEncryptionKey = () => deriveKey(twoFactorConfig.encryptionKey || process.env.JWT_SECRET || 'your-secret-key');
+
+// Key used before TWO_FACTOR_ENCRYPTION_KEY was set
+const getFallbackKey = () => deriveKey(process.env.JWT_SECRET || 'your-secret-key');
+
+// AES-256-GCM, stored as iv.tag.ciphertext
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptWith = (stored, key) => {
+  const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+// Secrets enrolled before TWO_FACTOR_ENCRYPTION_KEY was set still open with the
+// JWT_SECRET-derived key, so setting it later doesn't lock anyone out
+const decryptSecret = (stored) => {
+  try {
+    return decryptWith(stored, getEncryptionKey());
+  } catch (error) {
+    if (!twoFactorConfig.encryptionKey) throw error;
+    return decryptWith(stored, getFallbackKey());
+  }
+};
+
+// User with the two-factor secrets selected
+const loadTwoFactorUser = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+const getTwoFactorStatus = (user) => ({
+  enabled: Boolean(user.twoFactor && user.twoFactor.enabled),
+  enabledAt: user.twoFactor ? user.twoFactor.enabledAt : undefined,
+  required: isTwoFactorRequired(user),
+  recoveryCodesRemaining: user.twoFactor && user.twoFactor.recoveryCodes
+    ? user.twoFactor.recoveryCodes.filter(entry => !entry.usedAt).length
+    : undefined
+});
+
+// Recovery codes are shown once; only their hashes are kept
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: twoFactorConfig.recoveryCodeCount }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return {
+    codes,
+    entries: codes.map(code => ({ codeHash: hashToken(code) }))
+  };
+};
+
+// Accept a TOTP code once: the matched step must be newer than the last one used
+const useTotpCode = async (user, code) => {
+  if (!user.twoFactor.secret) return false;
+
+  const step = verifyCode(decryptSecret(user.twoFactor.secret), code, { window: twoFactorConfig.window });
+  if (step === null) return false;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return result.modifiedCount > 0;
+};
+
+const useRecoveryCode = async (user, recoveryCode) => {
+  // Accept codes typed without the dash or in upper case
+  const compact = String(recoveryCode || '').replace(/[\s-]/g, '').toLowerCase();
+  if (!compact) return false;
+  const normalized = `${compact.slice(0, 5)}-${compact.slice(5)}`;
+
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      'twoFactor.recoveryCodes': { $elemMatch: { codeHash: hashToken(normalized), usedAt: null } }
+    },
+    { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Check a TOTP code or, failing that, a recovery code; returns the method used or null
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code && await useTotpCode(user, code)) return 'totp';
+  if (recoveryCode && await useRecoveryCode(user, recoveryCode)) return 'recovery_code';
+  return null;
+};
+
+// Start enrollment with a new pending secret; returns what the authenticator app needs
+const startEnrollment = async (user) => {
+  if (user.twoFactor.enabled) {
+    throw new ApiError(400, 'Two-factor authentication already enabled', 'Autenticazione a due fattori già attiva');
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': encryptSecret(secret) });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri(secret, { issuer: twoFactorConfig.issuer, account: user.email })
+  };
+};
+
+// Confirm enrollment with a first code from the app; returns the recovery codes
+const confirmEnrollment = async (user, code) => {
+  if (user.twoFactor.enabled) {
+    throw new ApiError(400, 'Two-factor authentication already enabled', 'Autenticazione a due fattori già attiva');
+  }
+  if (!user.twoFactor.pendingSecret) {
+    throw new ApiError(400, 'Two-factor setup not started', 'Configurazione a due fattori non avviata');
+  }
+
+  const step = verifyCode(decryptSecret(user.twoFactor.pendingSecret), code, { window: twoFactorConfig.window });
+  if (step === null) {
+    throw new ApiError(400, 'Invalid two-factor code', 'Codice di verifica non valido');
+  }
+
+  const { codes, entries } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.recoveryCodes': entries
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+
+  return codes;
+};
+
+// Replace the recovery codes; requires a current TOTP code
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.twoFactor.enabled) {
+    throw new ApiError(400, 'Two-factor authentication not enabled', 'Autenticazione a due fattori non attiva');
+  }
+  if (!await useTotpCode(user, code)) {
+    throw new ApiError(400, 'Invalid two-factor code', 'Codice di verifica non valido');
+  }
+
+  const { codes, entries } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { 'twoFactor.recoveryCodes': entries });
+  return codes;
+};
+
+const clearTwoFactor = (userId) => User.updateOne({ _id: userId }, {
+  $set: { 'twoFactor.enabled': false },
+  $unset: {
+    'twoFactor.enabledAt': 1,
+    'twoFactor.secret': 1,
+    'twoFactor.pendingSecret': 1,
+    'twoFactor.lastUsedStep': 1,
+    'twoFactor.recoveryCodes': 1
+  }
+});
+
+// Turn 2FA off at the user's request: needs the password and a second factor,
+// and is refused for roles where it is mandatory
+const disableTwoFactor = async (user, { password, code, recoveryCode }) => {
+  if (!user.twoFactor.enabled) {
+    throw new ApiError(400, 'Two-factor authentication not enabled', 'Autenticazione a due fattori non attiva');
+  }
+  if (isTwoFactorRequired(user)) {
+    throw new ApiError(403, 'Two-factor authentication is required for your role', 'L\'autenticazione a due fattori è obbligatoria per il tuo ruolo');
+  }
+  if (!password || !await user.comparePassword(password)) {
+    throw new ApiError(400, 'Current password is incorrect', 'Password attuale non corretta');
+  }
+  if (!await verifySecondFactor(user, { code, recoveryCode })) {
+    throw new ApiError(400, 'Invalid two-factor code', 'Codice di verifica non valido');
+  }
+
+  await clearTwoFactor(user._id);
+};
+
+// Admin reset for a user who lost their authenticator: clears 2FA and signs them out everywhere
+const resetTwoFactor = async (userId) => {
+  const result = await clearTwoFactor(userId);
+  if (result.matchedCount === 0) return false;
+
+  await invalidateUserTokens(userId, 'two_factor_challenge');
+  await invalidateUserTokens(userId, 'two_factor_setup');
+  await revokeUserSessions(userId, { reason: 'two_factor_reset' });
+  return true;
+};
+
+// Token returned by login after the password check, to be exchanged with a code (two_factor_challenge)
+// or, when enrollment is mandatory and missing, to enroll (two_factor_setup)
+const createChallenge = async (user, purpose) => {
+  const ttlMs = twoFactorConfig.challengeTtlMinutes * 60 * 1000;
+  const challengeToken = await issueUserToken(user._id, purpose, ttlMs);
+  return { challengeToken, expiresAt: new Date(Date.now() + ttlMs) };
+};
+
+const invalidChallenge = () => new ApiError(401, 'Invalid or expired challenge', 'Verifica non valida o scaduta');
+
+// Resolve a pending challenge to its user without consuming it
+const resolveChallenge = async (challengeToken, purpose) => {
+  const userToken = await findUserToken(challengeToken, purpose);
+  const user = userToken && await loadTwoFactorUser(userToken.userId);
+  if (!user) throw invalidChallenge();
+  return { userToken, user };
+};
+
+// Second step of login: check the code against the challenge and consume it; returns the user
+const completeLoginChallenge = async (challengeToken, { code, recoveryCode }) => {
+  const { userToken, user } = await resolveChallenge(challengeToken, 'two_factor_challenge');
+
+  if (!user.twoFactor.enabled) throw invalidChallenge();
+
+  const reserved = await reserveAttempt(userToken, twoFactorConfig.maxAttempts);
+  if (!reserved) throw invalidChallenge();
+
+  const method = await verifySecondFactor(user, { code, recoveryCode });
+  if (!method) {
+    const attemptsRemaining = await recordFailedAttempt(reserved, twoFactorConfig.maxAttempts);
+    throw new ApiError(401, 'Invalid two-factor code', 'Codice di verifica non valido', { attemptsRemaining });
+  }
+
+  if (!await consumeUserToken(challengeToken, 'two_factor_challenge')) throw invalidChallenge();
+
+  return { user, method };
+};
+
+// Enrollment during a login that requires it: confirm the first code against the setup
+// challenge, then consume it; returns the user and their recovery codes
+const completeSetupChallenge = async (challengeToken, code) => {
+  const { userToken, user } = await resolveChallenge(challengeToken, 'two_factor_setup');
+
+  const reserved = await reserveAttempt(userToken, twoFactorConfig.maxAttempts);
+  if (!reserved) throw invalidChallenge();
+
+  let recoveryCodes;
+  try {
+    recoveryCodes = await confirmEnrollment(user, code);
+  } catch (error) {
+    if (error.name === 'ApiError' && error.error === 'Invalid two-factor code') {
+      error.details = { attemptsRemaining: await recordFailedAttempt(reserved, twoFactorConfig.maxAttempts) };
+    }
+    throw error;
+  }
+
+  const consumed = await consumeUserToken(challengeToken, 'two_factor_setup');
+  return { user, recoveryCodes, consumed: Boolean(consumed) };
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  loadTwoFactorUser,
+  getTwoFactorStatus,
+  verifySecondFactor,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  createChallenge,
+  resolveChallenge,
+  completeLoginChallenge,
+  completeSetupChallenge
+};
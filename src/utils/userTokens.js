@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { ApiError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refuse to issue a new token too soon after the previous one or too many times a day
+const assertNotThrottled = async (userId, purpose, { intervalSeconds, maxPerDay }) => {
+  const recent = await UserToken.find({
+    userId,
+    purpose,
+    createdAt: { $gte: new Date(Date.now() - DAY_MS) }
+  }).sort({ createdAt: -1 }).select('createdAt');
+
+  if (recent.length >= maxPerDay) {
+    const retryAfter = Math.ceil((recent[recent.length - 1].createdAt.getTime() + DAY_MS - Date.now()) / 1000);
+    throw new ApiError(429, 'Too many requests', 'Troppe richieste', { retryAfter });
+  }
+
+  if (recent.length > 0) {
+    const wait = recent[0].createdAt.getTime() + intervalSeconds * 1000 - Date.now();
+    if (wait > 0) {
+      throw new ApiError(429, 'Please wait before requesting again', 'Attendi prima di richiedere di nuovo', {
+        retryAfter: Math.ceil(wait / 1000)
+      });
+    }
+  }
+};
+
+// Create a token, invalidating earlier unused ones of the same purpose; returns the raw token
+const issueUserToken = async (userId, purpose, ttlMs) => {
+  await UserToken.updateMany(
+    { userId, purpose, usedAt: null, invalidatedAt: null },
+    { invalidatedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await UserToken.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  });
+
+  return token;
+};
+
+// Usable token of a purpose, without consuming it; null when unknown, expired, superseded or used
+const findUserToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  return UserToken.findOne({
+    tokenHash: hashToken(token),
+    purpose,
+    usedAt: null,
+    invalidatedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Count an attempt against a token before the code is checked, so parallel guesses can't
+// exceed maxAttempts; returns the updated token, or null when no attempt is left
+const reserveAttempt = async (userToken, maxAttempts) => {
+  return UserToken.findOneAndUpdate(
+    { _id: userToken._id, usedAt: null, invalidatedAt: null, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+// After a wrong code on a reserved attempt, invalidate the token once maxAttempts is
+// reached; returns the attempts left
+const recordFailedAttempt = async (reserved, maxAttempts) => {
+  const attemptsRemaining = Math.max(0, maxAttempts - reserved.attempts);
+
+  if (attemptsRemaining === 0) {
+    await UserToken.updateOne({ _id: reserved._id }, { invalidatedAt: new Date() });
+  }
+
+  return attemptsRemaining;
+};
+
+// Mark a token as used; null when unknown, expired, superseded or already used
+const consumeUserToken = async (token, purpose) => {
+  if (!token || typeof token !== 'string') return null;
+
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      invalidatedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+const invalidateUserTokens = (userId, purpose) => {
+  return UserToken.updateMany(
+    { userId, purpose, usedAt: null, invalidatedAt: null },
+    { invalidatedAt: new Date() }
+  );
+};
+
+module.exports = {
+  hashToken,
+  assertNotThrottled,
+  issueUserToken,
+  findUserToken,
+  reserveAttempt,
+  recordFailedAttempt,
+  consumeUserToken,
+  invalidateUserTokens
+};